@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// Backup archives for the green-ledger CLI: a gzipped tar whose first entry, manifest.json, lists
+// the size and SHA-256 of every other entry. Restores read the whole archive and check it against
+// the manifest before anything is written. Plain ustar, so `tar -tzf` can list an archive too.
+// Only Node built-ins are used.
+
+const BACKUP_FORMAT = 'green-ledger-backup';
+const BACKUP_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const BLOCK_SIZE = 512;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+function buildTarHeader(name, size, mtime) {
+    if (Buffer.byteLength(name) > 100) {
+        throw new Error(`Archive entry name is too long: ${name}`);
+    }
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0, 100, 'utf-8');
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(mtime, 12), 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    // The checksum is the byte sum of the header with the checksum field read as spaces
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+function createTar(entries, mtime = Math.floor(Date.now() / 1000)) {
+    const blocks = [];
+    entries.forEach(({ name, data }) => {
+        blocks.push(buildTarHeader(name, data.length, mtime), data);
+        const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    });
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+    return Buffer.concat(blocks);
+}
+
+const readString = (buffer, start, length) => buffer.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+
+function parseTar(tar) {
+    const entries = [];
+    let offset = 0;
+    while (offset + BLOCK_SIZE <= tar.length) {
+        const header = tar.subarray(offset, offset + BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break;
+
+        const stored = parseInt(readString(header, 148, 8).trim(), 8);
+        const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+        if (stored !== checksum) {
+            throw new Error(`Corrupted tar header at offset ${offset}`);
+        }
+
+        const prefix = readString(header, 345, 155);
+        const name = prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100);
+        const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+        const type = readString(header, 156, 1);
+        const start = offset + BLOCK_SIZE;
+        if (start + size > tar.length) {
+            throw new Error(`Archive is truncated in ${name}`);
+        }
+        // Directories, links and other entry types are never written by createBackup
+        if (type === '0' || type === '') {
+            entries.push({ name, data: tar.subarray(start, start + size) });
+        }
+        offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+    return entries;
+}
+
+// entries: [{ name, data: Buffer }]; metadata is stored in the manifest next to the file list
+async function createBackup(entries, metadata = {}) {
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        created_at: new Date().toISOString(),
+        ...metadata,
+        files: entries.map(({ name, data }) => ({ path: name, size: data.length, sha256: sha256(data) }))
+    };
+    const tar = createTar([{ name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest, null, 2)) }, ...entries]);
+    return { manifest, archive: await gzip(tar) };
+}
+
+// Returns { manifest, entries, errors }; entries excludes the manifest and nothing in an archive
+// with errors should be restored
+async function readBackup(archive) {
+    let entries;
+    try {
+        entries = parseTar(await gunzip(archive));
+    } catch (error) {
+        return { manifest: null, entries: [], errors: [error.code === 'Z_DATA_ERROR' ? 'File is not a gzip archive' : error.message] };
+    }
+
+    const manifestEntry = entries.find(entry => entry.name === MANIFEST_NAME);
+    if (!manifestEntry) {
+        return { manifest: null, entries: [], errors: [`Archive has no ${MANIFEST_NAME}`] };
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestEntry.data.toString('utf-8'));
+    } catch (error) {
+        return { manifest: null, entries: [], errors: [`${MANIFEST_NAME} is not valid JSON`] };
+    }
+    if (manifest.format !== BACKUP_FORMAT || manifest.version !== BACKUP_VERSION || !Array.isArray(manifest.files)) {
+        return { manifest, entries: [], errors: [`Not a ${BACKUP_FORMAT} v${BACKUP_VERSION} manifest`] };
+    }
+
+    const errors = [];
+    const files = entries.filter(entry => entry.name !== MANIFEST_NAME);
+    const byName = new Map(files.map(entry => [entry.name, entry]));
+    manifest.files.forEach(file => {
+        const entry = byName.get(file.path);
+        if (!entry) {
+            errors.push(`${file.path}: listed in the manifest but missing from the archive`);
+        } else if (entry.data.length !== file.size) {
+            errors.push(`${file.path}: size ${entry.data.length} does not match the manifest (${file.size})`);
+        } else if (sha256(entry.data) !== file.sha256) {
+            errors.push(`${file.path}: SHA-256 does not match the manifest`);
+        }
+    });
+    const listed = new Set(manifest.files.map(file => file.path));
+    files.filter(entry => !listed.has(entry.name)).forEach(entry => {
+        errors.push(`${entry.name}: not listed in the manifest`);
+    });
+
+    return { manifest, entries: files, errors };
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    createBackup,
+    readBackup
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+
+// The activity ledger, shared by the server and the green-ledger CLI. Records are append-only:
+// each one is hashed together with the previous record's hash, and corrections, retractions,
+// evidence and review decisions are amendment records replayed over the originals.
+
+// Activity hashes cover every stored field except the hash itself, so prev_hash
+// is part of the hashed content and the records form a real chain.
+const CHAIN_VERSION = 2;
+const GENESIS_HASH = '0';
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function generateHash(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+function computeActivityHash(activity) {
+    const { hash, ...content } = activity;
+    if (!activity.chain_version) {
+        // Records written before chain_version existed were hashed before prev_hash was set
+        const { prev_hash, ...legacyContent } = content;
+        return generateHash(legacyContent);
+    }
+    return generateHash(content);
+}
+
+function verifyActivityChain(activities, companyId = null) {
+    let expectedPrevHash = GENESIS_HASH;
+    let checked = 0;
+    let legacy = 0;
+
+    for (let index = 0; index < activities.length; index++) {
+        const activity = activities[index];
+        const inScope = !companyId || activity.company_id === companyId;
+
+        if (inScope) {
+            checked++;
+            if (!activity.chain_version) legacy++;
+
+            if (activity.prev_hash !== expectedPrevHash) {
+                return {
+                    valid: false,
+                    checked,
+                    legacy,
+                    broken_link: {
+                        index,
+                        activity_id: activity.id,
+                        reason: 'prev_hash does not match the hash of the preceding record',
+                        expected_prev_hash: expectedPrevHash,
+                        actual_prev_hash: activity.prev_hash || null
+                    }
+                };
+            }
+
+            const recomputed = computeActivityHash(activity);
+            if (recomputed !== activity.hash) {
+                return {
+                    valid: false,
+                    checked,
+                    legacy,
+                    broken_link: {
+                        index,
+                        activity_id: activity.id,
+                        reason: 'stored hash does not match the record contents',
+                        expected_hash: recomputed,
+                        actual_hash: activity.hash || null
+                    }
+                };
+            }
+        }
+
+        expectedPrevHash = activity.hash;
+    }
+
+    return { valid: true, checked, legacy, broken_link: null };
+}
+
+function isAmendment(record) {
+    return record.record_type === 'amendment';
+}
+
+// asOf replays only the records written up to that moment, e.g. to rebuild what a report saw
+function applyAmendments(records, { includeRetracted = false, includeHistory = false, asOf = null, log = () => {} } = {}) {
+    const entries = new Map();
+
+    records.forEach(record => {
+        if (asOf && record.created_at && moment(record.created_at).isAfter(asOf)) {
+            return;
+        }
+        if (!isAmendment(record)) {
+            entries.set(record.id, { original: record, current: { ...record, revision: 0 }, revisions: [] });
+            return;
+        }
+
+        const entry = entries.get(record.amends);
+        if (!entry) {
+            log('warn', `Amendment refers to unknown record: ${record.amends}`, { amendmentId: record.id });
+            return;
+        }
+
+        entry.revisions.push(record);
+        // Attaching evidence and review decisions add to the record without revising the claim itself
+        if (record.action === 'evidence') {
+            entry.current.evidence = [...(entry.current.evidence || []), record.evidence];
+            return;
+        }
+        if (record.action === 'status') {
+            entry.current.status = record.status.to;
+            entry.current.status_changed_at = record.created_at;
+            if (record.attestation) {
+                entry.current.verification = { ...record.attestation, amendment_id: record.id };
+            }
+            return;
+        }
+        if (record.action === 'retraction') {
+            entry.current.retracted = true;
+            entry.current.retraction_reason = record.reason;
+        } else {
+            Object.entries(record.changes || {}).forEach(([field, change]) => {
+                entry.current[field] = change.to;
+            });
+            // A corrected claim is no longer the one the auditor attested, so it goes back for review
+            if (entry.current.status === 'verified') {
+                entry.current.status = 'submitted';
+                entry.current.status_changed_at = record.created_at;
+                delete entry.current.verification;
+            }
+        }
+        entry.current.revision = entry.revisions.filter(r => r.action === 'correction' || r.action === 'retraction').length;
+        entry.current.amended_at = record.created_at;
+        entry.current.amended_by = record.created_by;
+    });
+
+    return [...entries.values()]
+        .filter(entry => includeRetracted || !entry.current.retracted)
+        .map(entry => includeHistory
+            ? { ...entry.current, history: { original: entry.original, amendments: entry.revisions } }
+            : entry.current);
+}
+
+// Activities recorded before the review lifecycle existed count as submitted, not verified
+function applyActivityAmendments(records, options) {
+    return applyAmendments(records, options)
+        .map(activity => activity.status ? activity : { ...activity, status: 'submitted' });
+}
+
+// Recompute a stored evidence file's hash and compare it with the hash recorded on the ledger
+async function checkEvidenceIntegrity(evidenceDir, evidence) {
+    try {
+        const actual = sha256(await fs.readFile(path.join(evidenceDir, evidence.id)));
+        return { evidence_id: evidence.id, valid: actual === evidence.sha256, expected_sha256: evidence.sha256, actual_sha256: actual };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { evidence_id: evidence.id, valid: false, expected_sha256: evidence.sha256, actual_sha256: null, reason: 'file is missing' };
+    }
+}
+
+module.exports = {
+    CHAIN_VERSION,
+    GENESIS_HASH,
+    sha256,
+    generateHash,
+    computeActivityHash,
+    verifyActivityChain,
+    isAmendment,
+    applyAmendments,
+    applyActivityAmendments,
+    checkEvidenceIntegrity
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { AsyncLocalStorage } = require('async_hooks');
+const moment = require('moment');
+
+// Application and audit logs. Both are JSON lines in one file per day (app-YYYY-MM-DD.log and
+// audit-YYYY-MM-DD.log). The request context (request id, user) is kept in AsyncLocalStorage so
+// every line written while serving a request carries it without being passed around. Old files
+// are gzipped and then deleted after their stream's retention period.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_STREAMS = ['app', 'audit'];
+const FILE_PATTERN = /^(app|audit)-(\d{4}-\d{2}-\d{2})\.log(\.gz)?$/;
+const REDACTED_KEYS = /password|secret|token|private_key|authorization/i;
+const CONSOLE_DATA_MAX_CHARS = 2000;
+
+// Credentials never reach either stream, whatever a caller passes as data
+function redact(value, depth = 0) {
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    if (!value || typeof value !== 'object' || depth > 8) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_KEYS.test(key) && item !== null && item !== undefined ? '[redacted]' : redact(item, depth + 1)
+    ]));
+}
+
+function createLogger({
+    dir,
+    level = 'info',
+    consoleLevel = level,
+    retentionDays = 30,
+    auditRetentionDays = 365,
+    compressAfterDays = 1,
+    maintenanceIntervalMs = 6 * 60 * 60 * 1000
+}) {
+    const context = new AsyncLocalStorage();
+    const threshold = Math.max(LOG_LEVELS.indexOf(level), 0);
+    const consoleThreshold = Math.max(LOG_LEVELS.indexOf(consoleLevel), 0);
+    let ready = null;
+    let timer = null;
+
+    const ensureDir = () => {
+        ready = ready || fs.promises.mkdir(dir, { recursive: true });
+        return ready;
+    };
+
+    async function append(stream, entry) {
+        try {
+            await ensureDir();
+            await fs.promises.appendFile(path.join(dir, `${stream}-${moment().format('YYYY-MM-DD')}.log`), JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error(`Failed to write to ${stream} log:`, error.message);
+        }
+    }
+
+    function getContext() {
+        return context.getStore() || {};
+    }
+
+    // Runs fn with the given context object; setContext adds to it once the user is known
+    function runWithContext(store, fn) {
+        return context.run(store, fn);
+    }
+
+    function setContext(values) {
+        const store = context.getStore();
+        if (store) Object.assign(store, values);
+    }
+
+    function log(level, message, data = null) {
+        const rank = LOG_LEVELS.indexOf(level);
+        if (rank < Math.min(threshold, consoleThreshold)) return;
+
+        const { requestId = null, userId = null } = getContext();
+        const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
+        const safeData = data ? redact(data) : null;
+
+        if (rank >= consoleThreshold) {
+            const prefix = `[${timestamp}] [${level.toUpperCase()}]${requestId ? ` [${requestId.slice(0, 8)}]` : ''}`;
+            console.log(`${prefix} ${message}`);
+            // Request payloads stay in the file; the console shows data only for problems or when debugging
+            if (safeData && (rank >= LOG_LEVELS.indexOf('warn') || consoleThreshold === 0)) {
+                const serialized = JSON.stringify(safeData);
+                console.log('Data:', serialized.length > CONSOLE_DATA_MAX_CHARS ? `${serialized.slice(0, CONSOLE_DATA_MAX_CHARS)}…` : serialized);
+            }
+        }
+        if (rank >= threshold) {
+            append('app', {
+                timestamp,
+                level: level.toUpperCase(),
+                message,
+                request_id: requestId,
+                user_id: userId,
+                data: safeData
+            });
+        }
+    }
+
+    // Who did what to which entity; always written, regardless of the level thresholds
+    function audit({ actor, action, entityType, entityId, companyId = null, details = null }) {
+        const { requestId = null, ip = null } = getContext();
+        return append('audit', {
+            timestamp: moment().format('YYYY-MM-DD HH:mm:ss'),
+            request_id: requestId,
+            actor: actor ? { id: actor.id, email: actor.email, role: actor.role } : null,
+            ip,
+            action,
+            entity_type: entityType,
+            entity_id: entityId,
+            company_id: companyId,
+            details: details ? redact(details) : null
+        });
+    }
+
+    async function listFiles() {
+        await ensureDir();
+        return (await fs.promises.readdir(dir))
+            .map(name => {
+                const match = FILE_PATTERN.exec(name);
+                return match && { name, stream: match[1], date: match[2], compressed: Boolean(match[3]) };
+            })
+            .filter(Boolean);
+    }
+
+    function matches(entry, stream, filters) {
+        if (filters.level && LOG_LEVELS.indexOf(String(entry.level).toLowerCase()) < LOG_LEVELS.indexOf(filters.level)) return false;
+        if (filters.request_id && entry.request_id !== filters.request_id) return false;
+        if (filters.user_id && (stream === 'audit' ? entry.actor && entry.actor.id : entry.user_id) !== filters.user_id) return false;
+        if (filters.path && !(entry.data && typeof entry.data.path === 'string' && entry.data.path.startsWith(filters.path))) return false;
+        if (filters.entity_id) {
+            if (stream === 'audit' ? entry.entity_id !== filters.entity_id : !JSON.stringify(entry.data || {}).includes(filters.entity_id)) return false;
+        }
+        if (filters.action && entry.action !== filters.action) return false;
+        return true;
+    }
+
+    async function readEntries(file, stream, filters) {
+        const source = fs.createReadStream(path.join(dir, file.name));
+        const input = file.compressed ? source.pipe(zlib.createGunzip()) : source;
+        const entries = [];
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (matches(entry, stream, filters)) entries.push(entry);
+            } catch (error) {
+                // A partly written line is skipped rather than failing the whole query
+            }
+        }
+        return entries;
+    }
+
+    // Newest first; from/to are YYYY-MM-DD and both default to today
+    async function query({ stream = 'app', from, to, limit = 200, ...filters } = {}) {
+        const today = moment().format('YYYY-MM-DD');
+        const start = from || to || today;
+        const end = to || today;
+        const files = (await listFiles())
+            .filter(file => file.stream === stream && file.date >= start && file.date <= end)
+            .sort((a, b) => b.date.localeCompare(a.date));
+
+        const results = [];
+        let total = 0;
+        for (const file of files) {
+            const entries = await readEntries(file, stream, filters);
+            total += entries.length;
+            if (results.length < limit) {
+                results.push(...entries.reverse().slice(0, limit - results.length));
+            }
+        }
+        return { stream, from: start, to: end, total, entries: results };
+    }
+
+    async function compress(file) {
+        const source = path.join(dir, file.name);
+        await pipeline(fs.createReadStream(source), zlib.createGzip(), fs.createWriteStream(`${source}.gz`));
+        await fs.promises.unlink(source);
+    }
+
+    // Gzips files older than compressAfterDays and deletes files past their stream's retention
+    async function maintain() {
+        const today = moment().startOf('day');
+        const summary = { compressed: 0, deleted: 0 };
+        for (const file of await listFiles()) {
+            const age = today.diff(moment(file.date, 'YYYY-MM-DD'), 'days');
+            const retention = file.stream === 'audit' ? auditRetentionDays : retentionDays;
+            try {
+                if (retention > 0 && age > retention) {
+                    await fs.promises.unlink(path.join(dir, file.name));
+                    summary.deleted++;
+                } else if (!file.compressed && age >= compressAfterDays && age > 0) {
+                    await compress(file);
+                    summary.compressed++;
+                }
+            } catch (error) {
+                log('error', `Log maintenance failed for ${file.name}`, { error: error.message });
+            }
+        }
+        if (summary.compressed || summary.deleted) {
+            log('info', 'Log maintenance completed', summary);
+        }
+        return summary;
+    }
+
+    function startMaintenance() {
+        if (timer) return;
+        const run = () => maintain().catch(error => log('error', 'Log maintenance failed', { error: error.message }));
+        timer = setInterval(run, maintenanceIntervalMs);
+        timer.unref();
+        run();
+    }
+
+    function stopMaintenance() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { log, audit, query, maintain, startMaintenance, stopMaintenance, runWithContext, setContext, getContext };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_STREAMS,
+    createLogger
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { canonicalize } = require('./report-signature');
+
+// Merkle trees over the activities included in a report, so one activity can be shown to be part
+// of a report without revealing the others. The tree hash and audit paths follow RFC 6962
+// section 2.1: leaves and inner nodes are hashed with different prefixes so a leaf can never be
+// passed off as an inner node, and a list of n > 1 leaves splits at the largest power of two
+// below n. Only Node built-ins are used.
+
+const MERKLE_ALGORITHM = 'sha256-rfc6962-v1';
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts) {
+    return crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+}
+
+function hashLeaf(claim) {
+    return sha256(LEAF_PREFIX, Buffer.from(canonicalize(claim)));
+}
+
+function hashNode(left, right) {
+    return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+// Largest power of two smaller than n (n > 1)
+function splitPoint(n) {
+    let k = 1;
+    while (k * 2 < n) k *= 2;
+    return k;
+}
+
+// MTH(D[n]) for n >= 1
+function treeHash(leafHashes) {
+    if (leafHashes.length === 1) return leafHashes[0];
+    const k = splitPoint(leafHashes.length);
+    return hashNode(treeHash(leafHashes.slice(0, k)), treeHash(leafHashes.slice(k)));
+}
+
+// An empty report still gets a root, the hash of no input
+function getMerkleRoot(leafHashes) {
+    if (!leafHashes.length) return sha256(Buffer.alloc(0));
+    return treeHash(leafHashes);
+}
+
+// PATH(m, D[n]): sibling hashes from the leaf up to the root; position says which side the
+// sibling sits on
+function getMerkleProof(leafHashes, index) {
+    if (leafHashes.length <= 1) return [];
+    const k = splitPoint(leafHashes.length);
+    return index < k
+        ? [...getMerkleProof(leafHashes.slice(0, k), index), { position: 'right', hash: treeHash(leafHashes.slice(k)) }]
+        : [...getMerkleProof(leafHashes.slice(k), index - k), { position: 'left', hash: treeHash(leafHashes.slice(0, k)) }];
+}
+
+function verifyMerkleProof(leafHash, proof, root) {
+    const computed = proof.reduce((hash, step) => (step.position === 'left'
+        ? hashNode(step.hash, hash)
+        : hashNode(hash, step.hash)), leafHash);
+    return computed === root;
+}
+
+module.exports = {
+    MERKLE_ALGORITHM,
+    hashLeaf,
+    getMerkleRoot,
+    getMerkleProof,
+    verifyMerkleProof
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Report signatures, shared by the server and the offline verification script. Only Node
+// built-ins are used so the verifier can run anywhere without installing the project.
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+const CANONICALIZATION = 'green-ledger-json-v1';
+
+// JSON with object keys sorted at every level, so signer and verifier serialize identically
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function getKeyId(publicKey) {
+    const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+// The signature covers the whole report except the signature value, plus the signing metadata
+function buildSigningPayload(report, { algorithm, canonicalization, key_id, signed_at }) {
+    const { signature, ...content } = report;
+    return canonicalize({ report: content, signature: { algorithm, canonicalization, key_id, signed_at } });
+}
+
+function signReport(report, { keyId, privateKey, signedAt = new Date().toISOString() }) {
+    const metadata = {
+        algorithm: SIGNATURE_ALGORITHM,
+        canonicalization: CANONICALIZATION,
+        key_id: keyId,
+        signed_at: signedAt
+    };
+    const value = crypto.sign(null, Buffer.from(buildSigningPayload(report, metadata)), privateKey).toString('base64');
+    return { ...metadata, value };
+}
+
+// keys: [{ key_id, public_key, status }]; retired keys still verify the reports they signed
+function verifyReport(report, keys) {
+    const signature = report && report.signature;
+    if (!signature || !signature.value) {
+        return { valid: false, reason: 'report is not signed' };
+    }
+    if (signature.algorithm !== SIGNATURE_ALGORITHM || signature.canonicalization !== CANONICALIZATION) {
+        return { valid: false, key_id: signature.key_id, reason: `unsupported signature scheme: ${signature.algorithm}/${signature.canonicalization}` };
+    }
+
+    const key = keys.find(k => k.key_id === signature.key_id);
+    if (!key) {
+        return { valid: false, key_id: signature.key_id, reason: 'signed with an unknown key' };
+    }
+
+    let valid = false;
+    try {
+        valid = crypto.verify(null, Buffer.from(buildSigningPayload(report, signature)), key.public_key, Buffer.from(signature.value, 'base64'));
+    } catch (error) {
+        valid = false;
+    }
+
+    return {
+        valid,
+        key_id: key.key_id,
+        key_status: key.status || null,
+        signed_at: signature.signed_at,
+        reason: valid ? null : 'signature does not match the report contents'
+    };
+}
+
+module.exports = {
+    SIGNATURE_ALGORITHM,
+    canonicalize,
+    getKeyId,
+    signReport,
+    verifyReport
+};
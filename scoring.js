@@ -0,0 +1,132 @@
+const path = require('path');
+const moment = require('moment');
+
+// ESG scoring, shared by the server and the green-ledger CLI. Weights, recency and investment
+// settings come from config/scoring.json.
+
+const SCORING_CONFIG = require(path.join(__dirname, 'config', 'scoring.json'));
+const ESG_CATEGORIES = ['environmental', 'social', 'governance'];
+
+// Only claims put forward for review count: drafts are unfinished and rejected claims failed
+// review. Activities without a status predate the review lifecycle and count as submitted.
+const SCORED_STATUSES = ['submitted', 'verified'];
+
+function isScoredActivity(activity) {
+    return !activity.status || SCORED_STATUSES.includes(activity.status);
+}
+
+function getActivityDate(activity) {
+    return moment.utc(activity.activity_date || activity.created_at);
+}
+
+// Category weights for an industry, normalized to sum to 1
+function getScoringWeights(industry) {
+    const industryWeights = SCORING_CONFIG.industry_weights[industry];
+    const weights = industryWeights || SCORING_CONFIG.default_weights;
+    const total = ESG_CATEGORIES.reduce((sum, category) => sum + (weights[category] || 0), 0);
+    
+    const normalized = {};
+    ESG_CATEGORIES.forEach(category => {
+        normalized[category] = total > 0 ? (weights[category] || 0) / total : 1 / ESG_CATEGORIES.length;
+    });
+    return { weights: normalized, source: industryWeights ? 'industry' : 'default' };
+}
+
+// Maps impact_score onto the 0-100 scale; unscored activities count as the midpoint
+function normalizeImpactScore(impactScore) {
+    const { min, max } = SCORING_CONFIG.impact_score_range;
+    const value = typeof impactScore === 'number' ? impactScore : (min + max) / 2;
+    const clamped = Math.min(Math.max(value, min), max);
+    return ((clamped - min) / (max - min)) * SCORING_CONFIG.scale.max;
+}
+
+// Older activities count for less, halving every half_life_months
+function getRecencyWeight(activity, asOf) {
+    const ageMonths = Math.max(asOf.diff(getActivityDate(activity), 'months', true), 0);
+    return Math.pow(0.5, ageMonths / SCORING_CONFIG.recency.half_life_months);
+}
+
+// Larger investments count for more, on a log scale capped at reference_amount
+function getInvestmentWeight(activity) {
+    const { reference_amount, max_boost } = SCORING_CONFIG.investment;
+    const amount = Number(activity.investment_amount) || 0;
+    if (amount <= 0) return 1;
+    return 1 + max_boost * Math.min(Math.log10(1 + amount) / Math.log10(1 + reference_amount), 1);
+}
+
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+// Each category score is the recency- and investment-weighted mean of normalized impact scores;
+// the overall score combines categories with the industry's materiality weights. A category with
+// no activities scores missing_category_score rather than being left out.
+function calculateScoreBreakdown(activities, { industry, asOf } = {}) {
+    const referenceDate = asOf ? moment.utc(asOf) : moment.utc();
+    const { weights, source } = getScoringWeights(industry);
+    
+    const categories = {};
+    let total = 0;
+    
+    ESG_CATEGORIES.forEach(category => {
+        const contributors = activities
+            .filter(a => a.category === category && isScoredActivity(a))
+            .map(activity => {
+                const recencyWeight = getRecencyWeight(activity, referenceDate);
+                const investmentWeight = getInvestmentWeight(activity);
+                return {
+                    id: activity.id,
+                    title: activity.title,
+                    activity_date: getActivityDate(activity).format('YYYY-MM-DD'),
+                    impact_score: activity.impact_score,
+                    investment_amount: activity.investment_amount || 0,
+                    normalized_impact: normalizeImpactScore(activity.impact_score),
+                    recency_weight: recencyWeight,
+                    investment_weight: investmentWeight,
+                    weight: recencyWeight * investmentWeight
+                };
+            });
+        
+        const weightSum = contributors.reduce((sum, c) => sum + c.weight, 0);
+        const score = weightSum > 0
+            ? contributors.reduce((sum, c) => sum + c.normalized_impact * c.weight, 0) / weightSum
+            : SCORING_CONFIG.missing_category_score;
+        const contribution = score * weights[category];
+        total += contribution;
+        
+        categories[category] = {
+            score: roundTo(score, 1),
+            weight: roundTo(weights[category], 4),
+            contribution: roundTo(contribution, 2),
+            activity_count: contributors.length,
+            activities: contributors
+                .map(c => ({
+                    ...c,
+                    normalized_impact: roundTo(c.normalized_impact, 1),
+                    recency_weight: roundTo(c.recency_weight, 4),
+                    investment_weight: roundTo(c.investment_weight, 4),
+                    weight: roundTo(c.weight, 4),
+                    share: roundTo(c.weight / weightSum, 4)
+                }))
+                .sort((a, b) => b.share - a.share)
+        };
+    });
+    
+    const { min, max } = SCORING_CONFIG.scale;
+    return {
+        score: Math.min(Math.max(Math.round(total), min), max),
+        industry: industry || null,
+        weights_source: source,
+        as_of: referenceDate.format('YYYY-MM-DD'),
+        categories
+    };
+}
+
+module.exports = {
+    SCORING_CONFIG,
+    ESG_CATEGORIES,
+    SCORED_STATUSES,
+    isScoredActivity,
+    getActivityDate,
+    getScoringWeights,
+    roundTo,
+    calculateScoreBreakdown
+};
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Generates an Ed25519 keypair for signing activity attestations. Run it on the auditor's own
+// machine: the private key never leaves it, only the public key is registered with the server.
+//
+//   node scripts/auditor-keygen.js                 # writes ./auditor-ed25519.key and .pub
+//   node scripts/auditor-keygen.js keys/jane       # writes keys/jane.key and keys/jane.pub
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const prefix = process.argv[2] || 'auditor-ed25519';
+const privatePath = `${prefix}.key`;
+const publicPath = `${prefix}.pub`;
+
+if (fs.existsSync(privatePath)) {
+    console.error(`Refusing to overwrite existing key: ${privatePath}`);
+    process.exit(1);
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+const keyId = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+
+fs.mkdirSync(path.dirname(path.resolve(privatePath)), { recursive: true });
+fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+fs.writeFileSync(publicPath, publicPem);
+
+console.log(`Private key: ${privatePath} (keep this secret)`);
+console.log(`Public key:  ${publicPath}`);
+console.log(`Key id:      ${keyId}`);
+console.log('\nRegister the public key with POST /api/auth/me/signing-keys, or pick the private key in the');
+console.log('verification dialog of the web app, which registers it automatically.');
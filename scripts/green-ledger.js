@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// Operator tools that work on the data directory (or the SQLite store) without starting the
+// server. Storage, ledger hashing and scoring are the server's own modules, so results match
+// the API.
+//
+//   green-ledger verify [--company <id>] [--evidence]
+//   green-ledger backup [--out <dir>] [--include-keys]
+//   green-ledger restore <archive> [--force]
+//   green-ledger export <company> [--type activities|reports] [--format csv|json] [--out <file>]
+//   green-ledger score <company> [--as-of YYYY-MM-DD] [--json]
+//
+// <company> is a company id or its exact name. STORAGE_DRIVER, SQLITE_PATH, EVIDENCE_DIR and
+// REPORT_KEYS_DIR are read as by the server. Stop the server before restoring.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const moment = require('moment');
+const { createStorage } = require('../storage');
+const ledger = require('../ledger');
+const { ESG_CATEGORIES, isScoredActivity, getActivityDate, calculateScoreBreakdown } = require('../scoring');
+const { ACTIVITY_CSV_COLUMNS, toCSV } = require('../spreadsheet');
+const { createBackup, readBackup } = require('../backup');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const EVIDENCE_DIR = process.env.EVIDENCE_DIR || path.join(DATA_DIR, 'evidence');
+const REPORT_KEYS_DIR = process.env.REPORT_KEYS_DIR || path.join(DATA_DIR, 'keys');
+const COMPANIES = 'companies';
+const ESG_ACTIVITIES = 'esg_activities';
+const REPORTS = 'reports';
+const REPORT_KEYS = 'report_keys';
+
+const EXPORT_TYPES = ['activities', 'reports'];
+const EXPORT_FORMATS = ['csv', 'json'];
+const REPORT_CSV_COLUMNS = [
+    'id', 'company_id', 'company_name', 'framework', 'period', 'period_start', 'period_end', 'generated_at',
+    'generated_by', 'esg_score', 'total_activities', 'hash', 'merkle_root', 'signature_key_id'
+];
+// Archive layout written by backup; restore refuses any other entry
+const BACKUP_ENTRY_PATTERN = /^(collections\/[\w-]+\.json|evidence\/[\w.-]+|keys\/[\w.-]+)$/;
+
+const USAGE = `Usage: green-ledger <command> [options]
+
+Commands:
+  verify [--company <id>] [--evidence]      Walk the activity hash chain (and re-hash evidence files)
+  backup [--out <dir>] [--include-keys]     Write a timestamped .tar.gz with a manifest of file hashes
+  restore <archive> [--force]               Check an archive against its manifest, then restore it
+  export <company> [--type activities|reports] [--format csv|json] [--out <file>]
+  score <company> [--as-of YYYY-MM-DD] [--json]`;
+
+class UsageError extends Error {}
+
+function openStorage() {
+    return createStorage({
+        driver: process.env.STORAGE_DRIVER || 'json',
+        dataDir: DATA_DIR,
+        sqlitePath: process.env.SQLITE_PATH
+    });
+}
+
+async function listFiles(dir) {
+    try {
+        return (await fs.readdir(dir, { withFileTypes: true })).filter(entry => entry.isFile()).map(entry => entry.name);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function findCompany(storage, reference) {
+    if (!reference) throw new UsageError('A company id or name is required');
+    const companies = ledger.applyAmendments(await storage.read(COMPANIES));
+    const company = companies.find(c => c.id === reference)
+        || companies.find(c => c.name.toLowerCase() === reference.toLowerCase());
+    if (!company) throw new Error(`Company not found: ${reference}`);
+    return company;
+}
+
+async function verify(storage, { company, evidence }) {
+    const records = await storage.read(ESG_ACTIVITIES);
+    const result = ledger.verifyActivityChain(records, company || null);
+    const scope = company ? `company ${company}` : 'all companies';
+
+    if (result.valid) {
+        console.log(`✔ Activity chain intact: ${result.checked} of ${records.length} records checked for ${scope} (${result.legacy} legacy)`);
+    } else {
+        const link = result.broken_link;
+        console.log(`✘ Activity chain broken at record #${link.index} (${link.activity_id}): ${link.reason}`);
+        console.log(`  expected ${link.expected_prev_hash || link.expected_hash}`);
+        console.log(`  found    ${link.actual_prev_hash || link.actual_hash || '(none)'}`);
+    }
+    if (!evidence) return result.valid;
+
+    // Retracted activities keep their evidence on the ledger, so their files are checked too
+    const activities = ledger.applyActivityAmendments(records, { includeRetracted: true })
+        .filter(activity => !company || activity.company_id === company);
+    let checked = 0;
+    let failed = 0;
+    for (const activity of activities) {
+        for (const item of activity.evidence || []) {
+            const check = await ledger.checkEvidenceIntegrity(EVIDENCE_DIR, item);
+            checked++;
+            if (!check.valid) {
+                failed++;
+                console.log(`✘ Evidence ${item.id} on activity ${activity.id}: ${check.reason || 'SHA-256 does not match the ledger'}`);
+            }
+        }
+    }
+    console.log(`${failed ? '✘' : '✔'} Evidence files: ${checked - failed} of ${checked} match the ledger`);
+    return result.valid && !failed;
+}
+
+async function backup(storage, { out, 'include-keys': includeKeys }) {
+    const entries = [];
+    const collections = {};
+    for (const name of await storage.list()) {
+        const data = await storage.read(name);
+        collections[name] = Array.isArray(data) ? data.length : Object.keys(data).length;
+        entries.push({ name: `collections/${name}.json`, data: Buffer.from(JSON.stringify(data, null, 2)) });
+    }
+    if (!entries.length) {
+        throw new Error(`No collections found in ${storage.location}`);
+    }
+    for (const file of await listFiles(EVIDENCE_DIR)) {
+        entries.push({ name: `evidence/${file}`, data: await fs.readFile(path.join(EVIDENCE_DIR, file)) });
+    }
+    // Signing private keys stay out unless asked for, so an archive can be handed over safely
+    const keyFiles = includeKeys ? await listFiles(REPORT_KEYS_DIR) : [];
+    for (const file of keyFiles) {
+        entries.push({ name: `keys/${file}`, data: await fs.readFile(path.join(REPORT_KEYS_DIR, file)) });
+    }
+
+    const chain = ledger.verifyActivityChain(await storage.read(ESG_ACTIVITIES).catch(() => []));
+    if (!chain.valid) {
+        console.log(`⚠ The activity chain is broken at record #${chain.broken_link.index}; backing up anyway`);
+    }
+
+    const { manifest, archive } = await createBackup(entries, {
+        storage_driver: storage.driver,
+        collections,
+        includes_keys: Boolean(includeKeys),
+        ledger: { valid: chain.valid, checked: chain.checked }
+    });
+    const outDir = path.resolve(out || 'backups');
+    const file = path.join(outDir, `green-ledger-backup-${moment.utc(manifest.created_at).format('YYYYMMDD-HHmmss')}.tar.gz`);
+    await fs.mkdir(outDir, { recursive: true });
+    // Collections include password hashes and sessions
+    await fs.writeFile(file, archive, { mode: 0o600, flag: 'wx' });
+
+    console.log(`✔ Backed up ${Object.keys(collections).length} collections, ${entries.length - Object.keys(collections).length - keyFiles.length} evidence files${includeKeys ? ` and ${keyFiles.length} signing keys` : ''}`);
+    console.log(`  ${file} (${archive.length} bytes)`);
+    return true;
+}
+
+async function restore(storage, archivePath, { force }) {
+    if (!archivePath) throw new UsageError('The archive to restore is required');
+    const { manifest, entries, errors } = await readBackup(await fs.readFile(archivePath));
+    entries.filter(entry => !BACKUP_ENTRY_PATTERN.test(entry.name)).forEach(entry => {
+        errors.push(`${entry.name}: unexpected entry in a green-ledger backup`);
+    });
+
+    const collections = new Map();
+    entries.filter(entry => entry.name.startsWith('collections/')).forEach(entry => {
+        try {
+            collections.set(path.basename(entry.name, '.json'), JSON.parse(entry.data.toString('utf-8')));
+        } catch (error) {
+            errors.push(`${entry.name}: not valid JSON`);
+        }
+    });
+    if (errors.length) {
+        errors.forEach(error => console.log(`✘ ${error}`));
+        throw new Error('The archive failed validation; nothing was restored');
+    }
+    console.log(`✔ Archive matches its manifest: ${manifest.files.length} files from ${manifest.created_at}`);
+
+    const chain = ledger.verifyActivityChain(collections.get(ESG_ACTIVITIES) || []);
+    if (!chain.valid && !force) {
+        throw new Error(`The archived activity chain is broken at record #${chain.broken_link.index} (re-run with --force to restore it anyway)`);
+    }
+
+    const existing = [];
+    for (const name of await storage.list()) {
+        if (!collections.has(name)) continue;
+        const data = await storage.read(name);
+        if (Array.isArray(data) ? data.length : Object.keys(data).length) existing.push(name);
+    }
+    if (existing.length && !force) {
+        throw new Error(`${storage.location} already contains data in: ${existing.join(', ')} (re-run with --force to replace it)`);
+    }
+
+    // Without its private half the active key cannot sign; retiring it keeps old reports verifiable
+    // and makes the server generate a new active key on startup
+    const archivedKeys = new Set(entries.filter(entry => entry.name.startsWith('keys/')).map(entry => path.basename(entry.name)));
+    const presentKeys = new Set(await listFiles(REPORT_KEYS_DIR));
+    const reportKeys = collections.get(REPORT_KEYS) || [];
+    reportKeys.filter(key => key.status === 'active').forEach(key => {
+        const file = `${key.key_id}.key`;
+        if (archivedKeys.has(file) || presentKeys.has(file)) return;
+        key.status = 'retired';
+        key.retired_at = new Date().toISOString();
+        console.log(`⚠ Private key for report signing key ${key.key_id} is not in the archive; it was retired and the server will create a new one`);
+    });
+
+    for (const [name, data] of collections) {
+        await storage.write(name, data);
+        console.log(`  ✔ ${name}`);
+    }
+    const restoreFiles = async (prefix, dir, mode) => {
+        const files = entries.filter(entry => entry.name.startsWith(prefix));
+        if (files.length) await fs.mkdir(dir, { recursive: true });
+        for (const entry of files) {
+            await fs.writeFile(path.join(dir, path.basename(entry.name)), entry.data, { mode });
+        }
+        return files.length;
+    };
+    const evidenceCount = await restoreFiles('evidence/', EVIDENCE_DIR, 0o644);
+    const keyCount = await restoreFiles('keys/', REPORT_KEYS_DIR, 0o600);
+
+    console.log(`✔ Restored ${collections.size} collections, ${evidenceCount} evidence files and ${keyCount} signing keys to ${storage.location}`);
+    return true;
+}
+
+async function exportCompany(storage, reference, { type = 'activities', format = 'csv', out }) {
+    if (!EXPORT_TYPES.includes(type)) throw new UsageError(`--type must be one of: ${EXPORT_TYPES.join(', ')}`);
+    if (!EXPORT_FORMATS.includes(format)) throw new UsageError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    const company = await findCompany(storage, reference);
+
+    let rows;
+    let columns;
+    if (type === 'activities') {
+        // Drafts and rejected claims are left out, as in the server's reports
+        rows = ledger.applyActivityAmendments(await storage.read(ESG_ACTIVITIES))
+            .filter(activity => activity.company_id === company.id && isScoredActivity(activity))
+            .map(activity => ({ ...activity, company_name: company.name }));
+        columns = ACTIVITY_CSV_COLUMNS;
+    } else {
+        rows = (await storage.read(REPORTS))
+            .filter(report => report.company_id === company.id)
+            .map(report => format === 'json' ? report : {
+                ...report,
+                merkle_root: report.merkle ? report.merkle.root : null,
+                signature_key_id: report.signature ? report.signature.key_id : null
+            });
+        columns = REPORT_CSV_COLUMNS;
+    }
+
+    const output = format === 'csv' ? toCSV(columns, rows) : `${JSON.stringify(rows, null, 2)}\n`;
+    if (out) {
+        await fs.writeFile(out, output);
+        console.log(`✔ Exported ${rows.length} ${type} for ${company.name} to ${out}`);
+    } else {
+        process.stdout.write(output);
+    }
+    return true;
+}
+
+async function score(storage, reference, { 'as-of': asOfOption, json }) {
+    if (asOfOption && !moment.utc(asOfOption, 'YYYY-MM-DD', true).isValid()) {
+        throw new UsageError('--as-of must be a date in YYYY-MM-DD format');
+    }
+    const company = await findCompany(storage, reference);
+    // Same cut-off as GET /api/companies/:id/score-breakdown
+    const asOf = asOfOption ? moment.utc(asOfOption, 'YYYY-MM-DD').endOf('day') : moment.utc();
+    const activities = ledger.applyActivityAmendments(await storage.read(ESG_ACTIVITIES))
+        .filter(activity => activity.company_id === company.id && isScoredActivity(activity) && !getActivityDate(activity).isAfter(asOf));
+    const breakdown = calculateScoreBreakdown(activities, { industry: company.industry, asOf });
+
+    if (json) {
+        console.log(JSON.stringify({ company_id: company.id, company_name: company.name, ...breakdown }, null, 2));
+        return true;
+    }
+
+    console.log(`${company.name} (${company.industry || 'no industry'}): ESG score ${breakdown.score} as of ${breakdown.as_of}, ${breakdown.weights_source} weights`);
+    console.log('');
+    console.log(`  ${'Category'.padEnd(15)}${'Score'.padStart(7)}${'Weight'.padStart(8)}${'Points'.padStart(8)}${'Activities'.padStart(12)}`);
+    ESG_CATEGORIES.forEach(category => {
+        const c = breakdown.categories[category];
+        console.log(`  ${category.padEnd(15)}${String(c.score).padStart(7)}${`${Math.round(c.weight * 100)}%`.padStart(8)}${String(c.contribution).padStart(8)}${String(c.activity_count).padStart(12)}`);
+    });
+    ESG_CATEGORIES.forEach(category => {
+        const top = breakdown.categories[category].activities.slice(0, 3);
+        if (!top.length) return;
+        console.log('');
+        console.log(`  Top ${category} activities:`);
+        top.forEach(a => console.log(`    ${`${Math.round(a.share * 100)}%`.padStart(4)}  ${a.activity_date}  ${a.title} (impact ${a.impact_score ?? '-'})`));
+    });
+    return true;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            company: { type: 'string' },
+            evidence: { type: 'boolean' },
+            out: { type: 'string' },
+            'include-keys': { type: 'boolean' },
+            force: { type: 'boolean' },
+            type: { type: 'string' },
+            format: { type: 'string' },
+            'as-of': { type: 'string' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const [command, target] = positionals;
+    const commands = {
+        verify: storage => verify(storage, values),
+        backup: storage => backup(storage, values),
+        restore: storage => restore(storage, target, values),
+        export: storage => exportCompany(storage, target, values),
+        score: storage => score(storage, target, values)
+    };
+    if (values.help || !commands[command]) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    const storage = openStorage();
+    await storage.init();
+    try {
+        return (await commands[command](storage)) ? 0 : 1;
+    } finally {
+        await storage.close();
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(`green-ledger: ${error.message}`);
+    if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+        console.error(USAGE);
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+});
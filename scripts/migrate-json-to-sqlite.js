@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Copies every data/*.json collection into the SQLite store used by STORAGE_DRIVER=sqlite.
+// The JSON files are left in place so the migration can be rolled back by switching drivers.
+//
+//   npm run migrate:sqlite                  # data/ -> data/green-ledger.db
+//   npm run migrate:sqlite -- --force       # replace collections that already exist in SQLite
+//   SQLITE_PATH=/var/lib/gl.db npm run migrate:sqlite
+
+const path = require('path');
+const { createStorage } = require('../storage');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const force = process.argv.includes('--force');
+
+function countRecords(data) {
+    return Array.isArray(data) ? data.length : Object.keys(data).length;
+}
+
+async function migrate() {
+    const source = createStorage({ driver: 'json', dataDir: DATA_DIR });
+    const target = createStorage({ driver: 'sqlite', dataDir: DATA_DIR, sqlitePath: process.env.SQLITE_PATH });
+
+    await source.init();
+    await target.init();
+
+    try {
+        const collections = await source.list();
+        if (!collections.length) {
+            console.log(`No JSON collections found in ${DATA_DIR}`);
+            return;
+        }
+
+        const existing = (await target.list()).filter(name => collections.includes(name));
+        if (existing.length && !force) {
+            throw new Error(`${target.location} already contains: ${existing.join(', ')} (re-run with --force to replace them)`);
+        }
+
+        console.log(`Migrating ${collections.length} collections from ${DATA_DIR} to ${target.location}`);
+
+        for (const name of collections) {
+            const data = await source.read(name);
+            await target.write(name, data);
+
+            // Read the copy back and compare before reporting success
+            const copy = await target.read(name);
+            if (JSON.stringify(copy) !== JSON.stringify(data)) {
+                throw new Error(`Verification failed for ${name}: SQLite copy differs from the JSON source`);
+            }
+            console.log(`  ✔ ${name}: ${countRecords(data)} records`);
+        }
+
+        console.log('Migration complete. Start the server with STORAGE_DRIVER=sqlite to use the new store.');
+    } finally {
+        await target.close();
+    }
+}
+
+migrate().catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Verifies a signed Green Ledger report without contacting the server. Needs only Node and
+// ../report-signature.js, which uses nothing but Node built-ins.
+//
+//   node scripts/verify-report.js report.json --keys green-ledger-report-keys.json
+//   node scripts/verify-report.js report.json --public-key report-key.pem
+//   node scripts/verify-report.js report.json --keys keys.json --proof proof.json
+//
+// The keys file is the document served at /.well-known/green-ledger-report-keys.json. A proof
+// file is the response of /api/reports/:id/proof/:activityId and is checked against the signed
+// report's Merkle root.
+// Exits with 0 when the signature is valid, 1 when it is not and 2 on usage errors.
+
+const fs = require('fs');
+const { getKeyId, verifyReport } = require('../report-signature');
+const { MERKLE_ALGORITHM, hashLeaf, verifyMerkleProof } = require('../merkle');
+
+function usage(message) {
+    if (message) console.error(message);
+    console.error('Usage: node scripts/verify-report.js <report.json> (--keys <keys.json> | --public-key <key.pem>) [--proof <proof.json>]');
+    process.exit(2);
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        usage(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function loadKeys(args) {
+    const keysIndex = args.indexOf('--keys');
+    const pemIndex = args.indexOf('--public-key');
+
+    if (keysIndex !== -1 && args[keysIndex + 1]) {
+        const document = readJSON(args[keysIndex + 1]);
+        return Array.isArray(document) ? document : document.keys || [];
+    }
+    if (pemIndex !== -1 && args[pemIndex + 1]) {
+        const publicKey = fs.readFileSync(args[pemIndex + 1], 'utf-8');
+        return [{ key_id: getKeyId(publicKey), public_key: publicKey, status: null }];
+    }
+    return usage('A --keys file or --public-key is required');
+}
+
+const args = process.argv.slice(2);
+if (!args[0] || args[0].startsWith('--')) usage();
+
+const document = readJSON(args[0]);
+const report = document.report || document;
+const result = verifyReport(report, loadKeys(args));
+
+if (!result.valid) {
+    console.error(`✘ Invalid report ${report.id || ''}: ${result.reason}${result.key_id ? ` (key ${result.key_id})` : ''}`);
+    process.exit(1);
+}
+
+console.log(`✔ Valid signature on report ${report.id}`);
+console.log(`  Company:   ${report.company_name}`);
+console.log(`  Period:    ${report.period} (${report.framework})`);
+console.log(`  Signed at: ${result.signed_at} with key ${result.key_id}${result.key_status ? ` (${result.key_status})` : ''}`);
+
+const proofIndex = args.indexOf('--proof');
+if (proofIndex !== -1) {
+    if (!args[proofIndex + 1]) usage('--proof needs a file');
+    const proof = readJSON(args[proofIndex + 1]);
+    if (report.merkle && report.merkle.algorithm !== MERKLE_ALGORITHM) {
+        console.error(`✘ Unsupported Merkle algorithm ${report.merkle.algorithm}, expected ${MERKLE_ALGORITHM}`);
+        process.exit(1);
+    }
+
+    // The root comes from the signed report, never from the proof file
+    const included = Boolean(report.merkle && proof.claim && Array.isArray(proof.proof))
+        && verifyMerkleProof(hashLeaf(proof.claim), proof.proof, report.merkle.root);
+    if (!included) {
+        console.error(`✘ Activity ${proof.activity_id || (proof.claim && proof.claim.id) || ''} is not proven to be part of this report`);
+        process.exit(1);
+    }
+    console.log(`✔ Activity ${proof.claim.id} (${proof.claim.title}) is included in the report`);
+}
+
+process.exit(0);
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Local stand-in for a webhook receiver. Prints every delivery, checks its signature with the
+// subscription secret and can fail on purpose to exercise the server's retries.
+//
+//   node scripts/webhook-receiver.js --secret whsec_... [--port 4000] [--fail 2] [--status 503]
+//
+// --fail N answers the first N deliveries with --status (default 500) instead of 200.
+// Deliveries with a bad signature are answered with 401.
+
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignatureHeader } = require('../webhooks');
+
+function getOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+const args = process.argv.slice(2);
+const secret = getOption(args, '--secret', process.env.WEBHOOK_SECRET);
+const port = Number(getOption(args, '--port', 4000));
+let failuresLeft = Number(getOption(args, '--fail', 0));
+const failStatus = Number(getOption(args, '--status', 500));
+
+if (!secret) {
+    console.error('Usage: node scripts/webhook-receiver.js --secret <whsec_...> [--port 4000] [--fail N] [--status 500]');
+    process.exit(2);
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf-8');
+        const check = verifySignatureHeader(secret, req.headers[SIGNATURE_HEADER.toLowerCase()], body);
+        const event = req.headers['x-green-ledger-event'];
+        const deliveryId = req.headers['x-green-ledger-delivery'];
+
+        if (!check.valid) {
+            console.log(`✘ ${event} ${deliveryId}: ${check.reason}`);
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: check.reason }));
+        }
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`… ${event} ${deliveryId}: signature valid, answering ${failStatus} (${failuresLeft} more failures)`);
+            res.writeHead(failStatus, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: 'simulated failure' }));
+        }
+
+        const payload = JSON.parse(body);
+        console.log(`✔ ${event} ${deliveryId}: signature valid`);
+        console.log(JSON.stringify(payload, null, 2));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: payload.id }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
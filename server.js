@@ -3,396 +3,4275 @@ const cors = require('cors');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const { createStorage } = require('./storage');
+const reportSignature = require('./report-signature');
+const merkle = require('./merkle');
+const ledger = require('./ledger');
+const { CHAIN_VERSION, GENESIS_HASH, sha256, generateHash, computeActivityHash, verifyActivityChain, checkEvidenceIntegrity } = ledger;
+const { ESG_CATEGORIES, isScoredActivity, getActivityDate, roundTo, calculateScoreBreakdown } = require('./scoring');
+const { SPREADSHEET_FORMATS, ACTIVITY_CSV_COLUMNS, parseSpreadsheet, toCSV } = require('./spreadsheet');
+const webhooks = require('./webhooks');
+const { LOG_LEVELS, LOG_STREAMS, createLogger } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Create logs directory if it doesn't exist
-const LOGS_DIR = path.join(__dirname, 'logs');
+// Logs: LOG_LEVEL sets the file threshold, LOG_CONSOLE_LEVEL the console one (defaults to LOG_LEVEL).
+// Daily files are gzipped after LOG_COMPRESS_AFTER_DAYS and deleted after LOG_RETENTION_DAYS
+// (AUDIT_LOG_RETENTION_DAYS for the audit stream; 0 keeps files forever).
+const LOGS_DIR = process.env.LOGS_DIR || path.join(__dirname, 'logs');
+const logger = createLogger({
+    dir: LOGS_DIR,
+    level: process.env.LOG_LEVEL || 'info',
+    consoleLevel: process.env.LOG_CONSOLE_LEVEL || process.env.LOG_LEVEL || 'info',
+    retentionDays: Number(process.env.LOG_RETENTION_DAYS || 30),
+    auditRetentionDays: Number(process.env.AUDIT_LOG_RETENTION_DAYS || 365),
+    compressAfterDays: Number(process.env.LOG_COMPRESS_AFTER_DAYS || 1)
+});
+
+const LOG_QUERY_MAX_DAYS = 31;
 
-// Logging utility functions
 function getCurrentTimestamp() {
     return moment().format('YYYY-MM-DD HH:mm:ss');
 }
 
-function logToConsole(level, message, data = null) {
-    const timestamp = getCurrentTimestamp();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
+function log(level, message, data = null) {
+    logger.log(level, message, data);
+}
+
+// Records who created or changed an entity, with the request id tying it to the app log
+function audit(req, action, entityType, entityId, details = null, actor = req.user) {
+    logger.audit({
+        actor,
+        action,
+        entityType,
+        entityId,
+        companyId: details && details.company_id !== undefined ? details.company_id : null,
+        details
+    });
+}
+
+// Every request gets an id (a well-formed X-Request-Id from the caller is kept), returned in the
+// X-Request-Id header and attached to every log line written while handling it
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    res.set('X-Request-Id', req.id);
+    
+    const requestContext = { requestId: req.id, ip: req.ip };
+    const startTime = Date.now();
+    
+    // Logged once the response is sent, whether it was JSON, a file or an empty 204
+    res.on('finish', () => {
+        const duration = Date.now() - startTime;
+        logger.runWithContext(requestContext, () => {
+            log(res.statusCode >= 500 ? 'error' : 'info', `${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`, {
+                method: req.method,
+                path: req.path,
+                statusCode: res.statusCode,
+                duration: `${duration}ms`,
+                userAgent: req.get('User-Agent') || 'Unknown',
+                ip: req.ip || req.socket.remoteAddress
+            });
+        });
+    });
+    
+    logger.runWithContext(requestContext, () => next());
+});
+
+// Middleware
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json({ limit: '5mb' }));
+app.use(express.static('public'));
+
+log('info', '🌿 Green Ledger server starting up...');
+
+// Data directory and collections
+const DATA_DIR = path.join(__dirname, 'data');
+const COMPANIES = 'companies';
+const ESG_ACTIVITIES = 'esg_activities';
+const REPORTS = 'reports';
+const USERS = 'users';
+const EMISSION_FACTORS = 'emission_factors';
+const SESSIONS = 'sessions';
+const REPORT_KEYS = 'report_keys';
+const TARGETS = 'targets';
+const WEBHOOKS = 'webhooks';
+const WEBHOOK_DELIVERIES = 'webhook_deliveries';
+const PORTFOLIOS = 'portfolios';
+const SCORE_SNAPSHOTS = 'score_snapshots';
+
+// STORAGE_DRIVER=json (default, one file per collection in data/) or sqlite (SQLITE_PATH)
+const storage = createStorage({
+    driver: process.env.STORAGE_DRIVER || 'json',
+    dataDir: DATA_DIR,
+    sqlitePath: process.env.SQLITE_PATH,
+    log
+});
+
+// Framework disclosure definitions used to structure reports
+const CONFIG_DIR = path.join(__dirname, 'config');
+const REPORT_FRAMEWORKS = require(path.join(CONFIG_DIR, 'report-frameworks.json'));
+
+// Emission sources are fixed; per-year factors are seeded into data/ and editable via the API
+const EMISSION_FACTOR_DEFAULTS = require(path.join(CONFIG_DIR, 'emission-factors.json'));
+const EMISSION_SOURCES = EMISSION_FACTOR_DEFAULTS.sources;
+const GHG_SCOPES = [1, 2, 3];
+
+// Evidence files are kept outside the collections; their SHA-256 is recorded on the ledger
+const EVIDENCE_DIR = process.env.EVIDENCE_DIR || path.join(DATA_DIR, 'evidence');
+const EVIDENCE_MAX_BYTES = (Number(process.env.EVIDENCE_MAX_MB) || 10) * 1024 * 1024;
+const EVIDENCE_TYPES = {
+    'application/pdf': { extension: 'pdf', signature: '%PDF' },
+    'image/jpeg': { extension: 'jpg', signature: '\xFF\xD8\xFF' },
+    'image/png': { extension: 'png', signature: '\x89PNG' },
+    'text/csv': { extension: 'csv' },
+    'text/plain': { extension: 'txt' },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extension: 'xlsx', signature: 'PK' }
+};
+
+// Bulk imports are parsed in memory, so uploads and row counts are capped
+const IMPORT_MAX_BYTES = (Number(process.env.IMPORT_MAX_MB) || 5) * 1024 * 1024;
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Outbound webhooks: deliveries are queued in WEBHOOK_DELIVERIES and retried with exponential
+// backoff (base, 2x base, 4x base, ...) until WEBHOOK_MAX_ATTEMPTS is reached. Finished deliveries
+// are deleted after WEBHOOK_RETENTION_DAYS (0 keeps them forever).
+const webhookDispatcher = webhooks.createWebhookDispatcher({
+    readCollection,
+    updateCollection,
+    subscriptionsCollection: WEBHOOKS,
+    deliveriesCollection: WEBHOOK_DELIVERIES,
+    log,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    pollMs: 10000,
+    retentionDays: Number(process.env.WEBHOOK_RETENTION_DAYS || 30)
+});
+
+// Webhooks never hold up or fail the request that triggered them
+function emitWebhookEvent(event, data, companyId = null) {
+    webhookDispatcher.emit(event, data, { companyId }).catch(error => {
+        log('error', `Failed to queue ${event} webhook`, { error: error.message });
+    });
+}
+
+// Report signing keys: public halves are kept in the report_keys collection and published,
+// private halves live only in REPORT_KEYS_DIR. Retired keys are kept so old reports still verify.
+const REPORT_KEYS_DIR = process.env.REPORT_KEYS_DIR || path.join(DATA_DIR, 'keys');
+let activeReportKey = null;
+
+function getReportKeyPath(keyId) {
+    return path.join(REPORT_KEYS_DIR, `${keyId}.key`);
+}
+
+async function createReportSigningKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const keyId = reportSignature.getKeyId(publicPem);
+    
+    await fs.mkdir(REPORT_KEYS_DIR, { recursive: true, mode: 0o700 });
+    await fs.writeFile(getReportKeyPath(keyId), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+    
+    return {
+        key_id: keyId,
+        algorithm: reportSignature.SIGNATURE_ALGORITHM,
+        public_key: publicPem,
+        status: 'active',
+        created_at: moment().toISOString(),
+        retired_at: null
+    };
+}
+
+// Make sure exactly one active key exists and load its private half
+async function initializeReportSigningKey() {
+    let keys = await readCollection(REPORT_KEYS);
+    if (!keys.some(k => k.status === 'active')) {
+        const key = await createReportSigningKey();
+        keys = await updateCollection(REPORT_KEYS, stored => [...stored, key]);
+        log('info', 'Generated report signing key', { keyId: key.key_id });
+    }
+    
+    const active = keys.find(k => k.status === 'active');
+    activeReportKey = {
+        keyId: active.key_id,
+        privateKey: crypto.createPrivateKey(await fs.readFile(getReportKeyPath(active.key_id)))
+    };
+    log('info', 'Report signing key loaded', { keyId: active.key_id });
+}
+
+// Retire the active key and start signing with a fresh one
+async function rotateReportSigningKey() {
+    const key = await createReportSigningKey();
+    const now = moment().toISOString();
+    await updateCollection(REPORT_KEYS, keys => [
+        ...keys.map(k => k.status === 'active' ? { ...k, status: 'retired', retired_at: now } : k),
+        key
+    ]);
+    activeReportKey = {
+        keyId: key.key_id,
+        privateKey: crypto.createPrivateKey(await fs.readFile(getReportKeyPath(key.key_id)))
+    };
+    return key;
+}
+
+function signReport(report) {
+    if (!activeReportKey) {
+        throw new Error('Report signing key is not loaded');
+    }
+    return reportSignature.signReport(report, activeReportKey);
+}
+
+// Smallest peer group whose statistics are shown, and how emissions intensity is measured
+const BENCHMARK_CONFIG = require(path.join(CONFIG_DIR, 'benchmarking.json'));
+
+// Regulatory disclosure checklists, with per-framework variants
+const COMPLIANCE_CONFIG = require(path.join(CONFIG_DIR, 'compliance-checklists.json'));
+const COMPLIANCE_REGULATORS = Object.keys(COMPLIANCE_CONFIG.regulators);
+
+// Initialize storage and collections
+async function initializeDataFiles() {
+    try {
+        log('info', 'Initializing storage...', { driver: storage.driver, location: storage.location });
+        await fs.mkdir(EVIDENCE_DIR, { recursive: true });
+        
+        const { corrupted } = await storage.init({
+            [COMPANIES]: [],
+            [ESG_ACTIVITIES]: [],
+            [REPORTS]: [],
+            [USERS]: [],
+            [SESSIONS]: [],
+            [REPORT_KEYS]: [],
+            [TARGETS]: [],
+            [WEBHOOKS]: [],
+            [WEBHOOK_DELIVERIES]: [],
+            [PORTFOLIOS]: [],
+            [SCORE_SNAPSHOTS]: [],
+            [EMISSION_FACTORS]: EMISSION_FACTOR_DEFAULTS.years
+        });
+        
+        if (corrupted.length) {
+            log('error', 'Corrupted collections detected; they will not be overwritten until repaired', { corrupted });
+        } else {
+            log('info', 'Storage initialization completed successfully');
+        }
+    } catch (error) {
+        log('error', 'Error initializing storage', { error: error.message, stack: error.stack });
+    }
+}
+
+// Utility functions
+// Read failures (including corruption) propagate so callers never act on an empty stand-in
+async function readCollection(name) {
+    try {
+        const data = await storage.read(name);
+        log('debug', `Successfully read collection: ${name}`, { recordCount: data.length });
+        return data;
+    } catch (error) {
+        log('error', `Failed to read collection: ${name}`, { error: error.message });
+        throw error;
+    }
+}
+
+// Serialized read-modify-write; mutate returns the new contents of the collection
+async function updateCollection(name, mutate) {
+    try {
+        const data = await storage.update(name, mutate);
+        log('debug', `Successfully updated collection: ${name}`, { recordCount: data.length });
+        return data;
+    } catch (error) {
+        log('error', `Failed to update collection: ${name}`, { error: error.message });
+        throw error;
+    }
+}
+
+// Authentication: scrypt password hashes and opaque bearer session tokens
+const scrypt = promisify(crypto.scrypt);
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+// Self-registered accounts are pending until an admin assigns a role; admins can also set it to suspend one
+const PENDING_ROLE = 'pending';
+const ROLES = ['admin', 'editor', 'auditor', 'investor', PENDING_ROLE];
+
+// Who may call what; editors and investors are further limited to their company_ids
+const ALL_ROLES = ROLES.filter(role => role !== PENDING_ROLE);
+const COMPANY_READ_ROLES = ['admin', 'editor', 'auditor'];
+const COMPANY_WRITE_ROLES = ['admin', 'editor'];
+const REPORT_READ_ROLES = ['admin', 'editor', 'auditor', 'investor'];
+const VERIFY_ROLES = ['admin', 'auditor'];
+// Only auditors attest activities, so verification stays independent of the people entering data
+const ATTEST_ROLES = ['auditor'];
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const derived = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sanitizeUser(user) {
+    const { password_hash, ...safeUser } = user;
+    return safeUser;
+}
+
+async function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = moment();
+    const session = {
+        token_hash: hashToken(token),
+        user_id: user.id,
+        created_at: now.toISOString(),
+        expires_at: now.clone().add(SESSION_TTL_HOURS, 'hours').toISOString()
+    };
+    await updateCollection(SESSIONS, sessions => [
+        ...sessions.filter(s => moment(s.expires_at).isAfter(now)),
+        session
+    ]);
+    return { token, expires_at: session.expires_at };
+}
+
+// Returns null when the user may see every company, otherwise the allowed company ids
+function getCompanyScope(user) {
+    return user.role === 'admin' || user.role === 'auditor' ? null : (user.company_ids || []);
+}
+
+function canAccessCompany(user, companyId) {
+    const scope = getCompanyScope(user);
+    return !scope || scope.includes(companyId);
+}
+
+function filterByCompanyScope(user, records, key = 'company_id') {
+    const scope = getCompanyScope(user);
+    return scope ? records.filter(record => scope.includes(record[key])) : records;
+}
+
+async function authenticate(req, res, next) {
+    try {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+        if (!token) {
+            log('warn', `Unauthenticated request: ${req.method} ${req.path}`);
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const sessions = await readCollection(SESSIONS);
+        const session = sessions.find(s => s.token_hash === hashToken(token));
+
+        if (!session || moment(session.expires_at).isBefore(moment())) {
+            log('warn', `Invalid or expired session: ${req.method} ${req.path}`);
+            return res.status(401).json({ error: 'Session is invalid or has expired' });
+        }
+
+        const users = await readCollection(USERS);
+        const user = users.find(u => u.id === session.user_id);
+
+        if (!user) {
+            log('warn', `Session refers to missing user: ${session.user_id}`);
+            return res.status(401).json({ error: 'Session is invalid or has expired' });
+        }
+
+        req.user = sanitizeUser(user);
+        logger.setContext({ userId: user.id });
+        req.sessionTokenHash = session.token_hash;
+        next();
+    } catch (error) {
+        log('error', 'Failed to authenticate request', { error: error.message });
+        res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+}
+
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            log('warn', `Forbidden: ${req.user.email} (${req.user.role}) on ${req.method} ${req.path}`);
+            return res.status(403).json({ error: 'You do not have permission to perform this action' });
+        }
+        next();
+    };
+}
+
+function requireCompanyAccess(getCompanyId) {
+    return (req, res, next) => {
+        const companyId = getCompanyId(req);
+        if (!canAccessCompany(req.user, companyId)) {
+            log('warn', `Company access denied: ${req.user.email} on ${companyId}`);
+            return res.status(403).json({ error: 'You do not have access to this company' });
+        }
+        next();
+    };
+}
+
+// Append-only amendments: corrections and retractions are stored as new records that
+// reference the original by id, and readers fold them into the effective current state
+const AMENDMENT_ACTIONS = ['correction', 'retraction', 'evidence', 'status'];
+
+// Review lifecycle: draft -> submitted -> verified / rejected; rejected activities can be resubmitted
+const ACTIVITY_STATUSES = ['draft', 'submitted', 'verified', 'rejected'];
+const STATUS_TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['verified', 'rejected'],
+    rejected: ['submitted'],
+    verified: []
+};
+const ACTIVITY_CORRECTABLE_FIELDS = [
+    'title', 'description', 'category', 'impact_score', 'investment_amount', 'activity_date', 'metrics', 'quantities'
+];
+const COMPANY_CORRECTABLE_FIELDS = ['name', 'industry', 'location', 'size', 'esg_framework', 'annual_revenue', 'description'];
+
+// scoredOnly keeps the activities that count toward scores, reports and analytics (see isScoredActivity)
+async function readActivities({ scoredOnly = false, ...options } = {}) {
+    const activities = ledger.applyActivityAmendments(await readCollection(ESG_ACTIVITIES), { ...options, log });
+    return scoredOnly ? activities.filter(isScoredActivity) : activities;
+}
+
+async function readCompanies(options) {
+    return ledger.applyAmendments(await readCollection(COMPANIES), { ...options, log });
+}
+
+function buildChanges(current, requested, allowedFields) {
+    const changes = {};
+    for (const [field, value] of Object.entries(requested || {})) {
+        if (!allowedFields.includes(field)) {
+            return { error: `Field cannot be corrected: ${field}` };
+        }
+        if (JSON.stringify(current[field]) !== JSON.stringify(value)) {
+            changes[field] = { from: current[field] === undefined ? null : current[field], to: value };
+        }
+    }
+    if (!Object.keys(changes).length) {
+        return { error: 'No changes to apply' };
+    }
+    return { changes };
+}
+
+function buildAmendment(target, action, { changes, reason, user, evidence, status, attestation }) {
+    const amendment = {
+        id: uuidv4(),
+        record_type: 'amendment',
+        action,
+        amends: target.id,
+        reason,
+        created_by: user.id,
+        created_at: moment().toISOString()
+    };
+    if (target.company_id) amendment.company_id = target.company_id;
+    if (changes) amendment.changes = changes;
+    if (evidence) amendment.evidence = evidence;
+    if (status) amendment.status = status;
+    if (attestation) amendment.attestation = attestation;
+    return amendment;
+}
+
+// prev_hash is read inside the serialized update so concurrent appends still form one chain.
+// Several records are chained in order and written in one update, so either all land or none do.
+async function appendActivityRecords(newRecords) {
+    await updateCollection(ESG_ACTIVITIES, records => {
+        let prevHash = records.length > 0 ? records[records.length - 1].hash : GENESIS_HASH;
+        newRecords.forEach(record => {
+            record.chain_version = CHAIN_VERSION;
+            record.prev_hash = prevHash;
+            record.hash = computeActivityHash(record);
+            prevHash = record.hash;
+        });
+        return [...records, ...newRecords];
+    });
+    return newRecords;
+}
+
+async function appendActivityRecord(record) {
+    await appendActivityRecords([record]);
+    return record;
+}
+
+function getEvidencePath(evidenceId) {
+    return path.join(EVIDENCE_DIR, evidenceId);
+}
+
+// Checks the declared type against the allow-list and, where the format has one, its magic bytes
+function checkEvidenceFile(buffer, contentType) {
+    const type = EVIDENCE_TYPES[contentType];
+    if (!type) {
+        return `Unsupported file type: ${contentType || 'unknown'} (allowed: ${Object.keys(EVIDENCE_TYPES).join(', ')})`;
+    }
+    if (!buffer.length) {
+        return 'File is empty';
+    }
+    if (type.signature && !buffer.subarray(0, type.signature.length).equals(Buffer.from(type.signature, 'latin1'))) {
+        return `File contents do not match the declared type ${contentType}`;
+    }
+    return null;
+}
+
+// Filenames are only used for display and downloads, never as a path
+function sanitizeFileName(fileName, contentType) {
+    const base = path.basename(String(fileName || '')).replace(/[^\w.\- ]+/g, '_').trim().slice(0, 200);
+    return base || `evidence.${EVIDENCE_TYPES[contentType].extension}`;
+}
+
+// Auditor signing keys are Ed25519 keypairs generated on the auditor's machine; only the public key is uploaded
+function parseSigningPublicKey(pem) {
+    try {
+        const key = crypto.createPublicKey(pem);
+        if (key.asymmetricKeyType !== 'ed25519') {
+            return { error: 'must be an Ed25519 public key' };
+        }
+        const der = key.export({ type: 'spki', format: 'der' });
+        return {
+            key_id: sha256(der).slice(0, 16),
+            public_key: key.export({ type: 'spki', format: 'pem' })
+        };
+    } catch (error) {
+        return { error: 'must be a PEM-encoded public key' };
+    }
+}
+
+function countByStatus(activities) {
+    const counts = Object.fromEntries(ACTIVITY_STATUSES.map(status => [status, 0]));
+    activities.forEach(activity => {
+        counts[activity.status || 'submitted'] += 1;
+    });
+    return counts;
+}
+
+// How much of a report rests on independently verified activities
+function summarizeVerification(activities) {
+    const byStatus = countByStatus(activities);
+    return {
+        verified: byStatus.verified,
+        total: activities.length,
+        verified_share: activities.length ? Number((byStatus.verified / activities.length).toFixed(4)) : 0,
+        by_status: byStatus
+    };
+}
+
+// The claim an activity makes: its current fields and its evidence hashes, without review state
+function getActivityClaim(activity) {
+    return {
+        id: activity.id,
+        company_id: activity.company_id,
+        ...Object.fromEntries(ACTIVITY_CORRECTABLE_FIELDS.map(field => [field, activity[field] ?? null])),
+        evidence_sha256: (activity.evidence || []).map(e => e.sha256)
+    };
+}
+
+// Hash of the claim an auditor attests
+function getActivityStateHash(activity) {
+    return generateHash(getActivityClaim(activity));
+}
+
+// The exact string the auditor signs; key order is fixed so signer and server build identical bytes
+function buildAttestationPayload({ activity_id, state_hash, decision, comment, signed_at, key_id }) {
+    return JSON.stringify({
+        type: 'green-ledger/activity-attestation',
+        activity_id,
+        state_hash,
+        decision,
+        comment: comment || '',
+        signed_at,
+        key_id
+    });
+}
+
+function verifyAttestationSignature(attestation, publicKeyPem) {
+    try {
+        const payload = buildAttestationPayload(attestation);
+        return crypto.verify(null, Buffer.from(payload), publicKeyPem, Buffer.from(attestation.signature, 'base64'));
+    } catch (error) {
+        return false;
+    }
+}
+
+async function findSigningKey(keyId) {
+    for (const user of await readCollection(USERS)) {
+        const key = (user.signing_keys || []).find(k => k.key_id === keyId);
+        if (key) return { ...key, user };
+    }
+    return null;
+}
+
+function calculateESGScore(activities, options = {}) {
+    try {
+        if (!activities.some(isScoredActivity)) {
+            log('debug', 'No activities provided for ESG score calculation');
+            return 0;
+        }
+        
+        const breakdown = calculateScoreBreakdown(activities, options);
+        log('debug', 'ESG score calculated', {
+            activitiesCount: activities.length,
+            industry: breakdown.industry,
+            categoryScores: Object.fromEntries(ESG_CATEGORIES.map(c => [c, breakdown.categories[c].score])),
+            finalScore: breakdown.score
+        });
+        
+        return breakdown.score;
+    } catch (error) {
+        log('error', 'Failed to calculate ESG score', { error: error.message });
+        return 0;
+    }
+}
+
+// Report periods: a year ("2024"), a quarter ("2024-Q2") or explicit from/to dates
+function resolveReportPeriod({ period, from, to }) {
+    if (from || to) {
+        const start = moment.utc(from, 'YYYY-MM-DD', true);
+        const end = moment.utc(to, 'YYYY-MM-DD', true);
+        if (!start.isValid() || !end.isValid()) {
+            return { field: start.isValid() ? 'to' : 'from', error: 'must be a date in YYYY-MM-DD format when a date range is used' };
+        }
+        if (end.isBefore(start)) {
+            return { field: 'to', error: 'must not be before from' };
+        }
+        return {
+            label: period || `${start.format('YYYY-MM-DD')} to ${end.format('YYYY-MM-DD')}`,
+            type: 'range',
+            start: start.startOf('day'),
+            end: end.endOf('day')
+        };
+    }
+
+    const value = String(period || moment().format('YYYY')).trim();
+
+    const quarterMatch = value.match(/^(\d{4})-?Q([1-4])$/i);
+    if (quarterMatch) {
+        const start = moment.utc(quarterMatch[1], 'YYYY').quarter(Number(quarterMatch[2])).startOf('quarter');
+        return {
+            label: `${quarterMatch[1]}-Q${quarterMatch[2]}`,
+            type: 'quarter',
+            start,
+            end: start.clone().endOf('quarter')
+        };
+    }
+
+    if (/^\d{4}$/.test(value)) {
+        const start = moment.utc(value, 'YYYY').startOf('year');
+        return { label: value, type: 'year', start, end: start.clone().endOf('year') };
+    }
+
+    return { field: 'period', error: 'must be a year (2024) or a quarter (2024-Q2), or use from/to dates instead' };
+}
+
+// Listing filters: exact company/category, activity_date range, impact range and free-text search
+function filterActivities(activities, { company_id, category, status, from, to, min_impact, max_impact, q }) {
+    const terms = q ? q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+    const start = from ? moment.utc(from, 'YYYY-MM-DD') : null;
+    const end = to ? moment.utc(to, 'YYYY-MM-DD').endOf('day') : null;
     
-    console.log(logMessage);
-    if (data) {
-        console.log('Data:', JSON.stringify(data, null, 2));
+    return activities.filter(activity => {
+        if (company_id && activity.company_id !== company_id) return false;
+        if (category && activity.category !== category) return false;
+        if (status && activity.status !== status) return false;
+        
+        if (start || end) {
+            const date = getActivityDate(activity);
+            if (start && date.isBefore(start)) return false;
+            if (end && date.isAfter(end)) return false;
+        }
+        
+        if (min_impact !== undefined || max_impact !== undefined) {
+            if (typeof activity.impact_score !== 'number') return false;
+            if (min_impact !== undefined && activity.impact_score < min_impact) return false;
+            if (max_impact !== undefined && activity.impact_score > max_impact) return false;
+        }
+        
+        if (terms.length) {
+            const text = [activity.title, activity.description, activity.metrics].filter(Boolean).join(' ').toLowerCase();
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+        
+        return true;
+    });
+}
+
+const ACTIVITY_SORTS = {
+    created_at: a => new Date(a.created_at).getTime(),
+    activity_date: a => getActivityDate(a).valueOf(),
+    impact_score: a => a.impact_score ?? -Infinity,
+    investment_amount: a => a.investment_amount || 0,
+    title: a => (a.title || '').toLowerCase()
+};
+
+// Ties fall back to newest created first so pages stay stable
+function sortActivities(activities, field, order) {
+    const key = ACTIVITY_SORTS[field];
+    const direction = order === 'asc' ? 1 : -1;
+    return [...activities].sort((a, b) => {
+        const x = key(a);
+        const y = key(b);
+        if (x < y) return -direction;
+        if (x > y) return direction;
+        return new Date(b.created_at) - new Date(a.created_at) || String(a.id).localeCompare(String(b.id));
+    });
+}
+
+function filterActivitiesByPeriod(activities, period) {
+    return activities.filter(activity => {
+        const date = getActivityDate(activity);
+        return date.isValid() && date.isBetween(period.start, period.end, undefined, '[]');
+    });
+}
+
+// Emissions accounting: activities carry structured quantities converted to tCO2e
+function validateQuantities(quantities, field = 'quantities') {
+    const errors = [];
+    quantities.forEach((quantity, i) => {
+        if (!quantity || !EMISSION_SOURCES[quantity.type]) {
+            errors.push({ field: `${field}[${i}].type`, message: `must be one of: ${Object.keys(EMISSION_SOURCES).join(', ')}` });
+        }
+        if (!quantity || typeof quantity.amount !== 'number' || !Number.isFinite(quantity.amount) || quantity.amount < 0) {
+            errors.push({ field: `${field}[${i}].amount`, message: 'must be a non-negative number' });
+        }
+        if (quantity && quantity.scope !== undefined && !GHG_SCOPES.includes(quantity.scope)) {
+            errors.push({ field: `${field}[${i}].scope`, message: 'must be 1, 2 or 3' });
+        }
+    });
+    return errors;
+}
+
+function normalizeQuantities(quantities) {
+    return quantities.map(quantity => ({
+        type: quantity.type,
+        amount: quantity.amount,
+        unit: EMISSION_SOURCES[quantity.type].unit,
+        scope: quantity.scope || EMISSION_SOURCES[quantity.type].scope
+    }));
+}
+
+async function readEmissionFactors() {
+    const table = await readCollection(EMISSION_FACTORS);
+    return table && !Array.isArray(table) ? table : { ...EMISSION_FACTOR_DEFAULTS.years };
+}
+
+// Use the activity year's factors, else the closest earlier year, else the earliest available
+function getFactorsForYear(factorTable, year) {
+    const years = Object.keys(factorTable).map(Number).sort((a, b) => a - b);
+    if (!years.length) return { year: null, factors: {} };
+    const match = years.filter(y => y <= year).pop() || years[0];
+    return { year: match, factors: factorTable[match] };
+}
+
+function emptyScopeTotals() {
+    return { scope_1: 0, scope_2: 0, scope_3: 0 };
+}
+
+function roundEmissions(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function calculateActivityEmissions(activity, factorTable) {
+    const quantities = Array.isArray(activity.quantities) ? activity.quantities : [];
+    const year = getActivityDate(activity).year();
+    const { year: factorYear, factors } = getFactorsForYear(factorTable, year);
+    const byScope = emptyScopeTotals();
+    const missingFactors = [];
+
+    quantities.forEach(quantity => {
+        const factor = factors[quantity.type];
+        if (typeof factor !== 'number') {
+            missingFactors.push(quantity.type);
+            return;
+        }
+        byScope[`scope_${quantity.scope}`] += (quantity.amount * factor) / 1000;
+    });
+
+    return {
+        factor_year: factorYear,
+        total_tco2e: byScope.scope_1 + byScope.scope_2 + byScope.scope_3,
+        by_scope: byScope,
+        missing_factors: missingFactors
+    };
+}
+
+function sumEmissions(activities, factorTable) {
+    const byScope = emptyScopeTotals();
+    activities.forEach(activity => {
+        const result = calculateActivityEmissions(activity, factorTable);
+        GHG_SCOPES.forEach(scope => {
+            byScope[`scope_${scope}`] += result.by_scope[`scope_${scope}`];
+        });
+    });
+    GHG_SCOPES.forEach(scope => {
+        byScope[`scope_${scope}`] = roundEmissions(byScope[`scope_${scope}`]);
+    });
+    return {
+        total_tco2e: roundEmissions(byScope.scope_1 + byScope.scope_2 + byScope.scope_3),
+        by_scope: byScope
+    };
+}
+
+function compareEmissions(current, previous) {
+    const change = roundEmissions(current.total_tco2e - previous.total_tco2e);
+    return {
+        previous_total_tco2e: previous.total_tco2e,
+        change_tco2e: change,
+        change_percent: previous.total_tco2e > 0 ? Math.round((change / previous.total_tco2e) * 1000) / 10 : null
+    };
+}
+
+// Company-wide totals with a per-year breakdown and the latest year compared to the one before
+function summarizeEmissions(activities, factorTable) {
+    const measured = activities.filter(a => Array.isArray(a.quantities) && a.quantities.length);
+    const byYear = {};
+    measured.forEach(activity => {
+        const year = getActivityDate(activity).year();
+        (byYear[year] = byYear[year] || []).push(activity);
+    });
+
+    const years = Object.keys(byYear).map(Number).sort((a, b) => a - b);
+    const yearly = {};
+    years.forEach(year => {
+        yearly[year] = sumEmissions(byYear[year], factorTable);
+    });
+
+    const summary = {
+        ...sumEmissions(measured, factorTable),
+        measured_activities: measured.length,
+        by_year: yearly,
+        year_over_year: null
+    };
+
+    if (years.length) {
+        const latest = years[years.length - 1];
+        const previous = yearly[latest - 1] || sumEmissions([], factorTable);
+        summary.year_over_year = {
+            year: latest,
+            total_tco2e: yearly[latest].total_tco2e,
+            ...compareEmissions(yearly[latest], previous)
+        };
+    }
+
+    return summary;
+}
+
+// Period totals compared with the same window one year earlier
+function summarizePeriodEmissions(companyActivities, period, factorTable) {
+    const current = sumEmissions(filterActivitiesByPeriod(companyActivities, period), factorTable);
+    const previousPeriod = {
+        start: period.start.clone().subtract(1, 'year'),
+        end: period.end.clone().subtract(1, 'year')
+    };
+    const previous = sumEmissions(filterActivitiesByPeriod(companyActivities, previousPeriod), factorTable);
+
+    return {
+        ...current,
+        year_over_year: {
+            previous_period_start: previousPeriod.start.format('YYYY-MM-DD'),
+            previous_period_end: previousPeriod.end.format('YYYY-MM-DD'),
+            ...compareEmissions(current, previous)
+        }
+    };
+}
+
+// Peer benchmarking: a company against anonymous peers in its industry and size band
+function getQuantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Trailing-window tCO2e per revenue unit; null without revenue or measured activities in the window
+function calculateEmissionsIntensity(company, activities, factorTable, asOf = moment.utc()) {
+    const { window_months, revenue_unit } = BENCHMARK_CONFIG.emissions_intensity;
+    const window = { start: asOf.clone().subtract(window_months, 'months'), end: asOf };
+    const measured = filterActivitiesByPeriod(activities, window)
+        .filter(a => Array.isArray(a.quantities) && a.quantities.length);
+
+    if (!(company.annual_revenue > 0) || !measured.length) {
+        return null;
+    }
+    return sumEmissions(measured, factorTable).total_tco2e / (company.annual_revenue / revenue_unit);
+}
+
+function getBenchmarkMetrics(company, activities, factorTable) {
+    const breakdown = calculateScoreBreakdown(activities, { industry: company.industry });
+    return {
+        esg_score: breakdown.score,
+        ...Object.fromEntries(ESG_CATEGORIES.map(category => [category, breakdown.categories[category].score])),
+        emissions_intensity: calculateEmissionsIntensity(company, activities, factorTable)
+    };
+}
+
+// Only aggregates leave this function; peers are never identified. percentile is the share of
+// the other peers the company does better than (ties count half), so higher is always better.
+function summarizeBenchmark(value, peerValues, betterWhen = 'higher') {
+    const values = peerValues.filter(v => v !== null && v !== undefined);
+    const summary = { value: value === null ? null : roundTo(value, 4), better: betterWhen, peer_count: values.length };
+
+    if (values.length < BENCHMARK_CONFIG.min_peer_group) {
+        return { ...summary, percentile: null, median: null, q1: null, q3: null, insufficient_peers: true };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    let percentile = null;
+    if (value !== null) {
+        // The company itself is in peerValues once; compare only against the others
+        const others = values.length - 1;
+        const worse = values.filter(v => (betterWhen === 'higher' ? v < value : v > value)).length;
+        const ties = values.filter(v => v === value).length - 1;
+        percentile = others > 0 ? Math.round(((worse + ties / 2) / others) * 100) : null;
+    }
+
+    return {
+        ...summary,
+        percentile,
+        median: roundTo(getQuantile(sorted, 0.5), 4),
+        q1: roundTo(getQuantile(sorted, 0.25), 4),
+        q3: roundTo(getQuantile(sorted, 0.75), 4),
+        insufficient_peers: false
+    };
+}
+
+function buildBenchmark(company, companies, activities, factorTable) {
+    const byCompany = new Map();
+    activities.forEach(activity => {
+        if (!byCompany.has(activity.company_id)) byCompany.set(activity.company_id, []);
+        byCompany.get(activity.company_id).push(activity);
+    });
+
+    // Companies without activities have no meaningful score, so they are not peers
+    const scored = companies.filter(c => c.id === company.id || byCompany.has(c.id));
+    const industryPeers = scored.filter(c => c.industry === company.industry);
+    const sizePeers = industryPeers.filter(c => company.size && c.size === company.size);
+
+    // Fall back to the whole industry when the size band is too small to stay anonymous
+    const useSizeBand = sizePeers.length >= BENCHMARK_CONFIG.min_peer_group;
+    const peers = useSizeBand ? sizePeers : industryPeers;
+    const metrics = new Map(peers.map(peer => [peer.id, getBenchmarkMetrics(peer, byCompany.get(peer.id) || [], factorTable)]));
+    const own = metrics.get(company.id);
+    const collect = metric => [...metrics.values()].map(m => m[metric]);
+
+    return {
+        peer_group: {
+            industry: company.industry,
+            size: useSizeBand ? company.size : null,
+            basis: useSizeBand ? 'industry_and_size' : 'industry',
+            peer_count: peers.length,
+            min_peer_group: BENCHMARK_CONFIG.min_peer_group
+        },
+        metrics: {
+            esg_score: summarizeBenchmark(own.esg_score, collect('esg_score')),
+            ...Object.fromEntries(ESG_CATEGORIES.map(category => [category, summarizeBenchmark(own[category], collect(category))])),
+            emissions_intensity: {
+                ...summarizeBenchmark(own.emissions_intensity, collect('emissions_intensity'), 'lower'),
+                unit: `tCO2e per PKR ${BENCHMARK_CONFIG.emissions_intensity.revenue_unit.toLocaleString('en-US')} revenue`,
+                window_months: BENCHMARK_CONFIG.emissions_intensity.window_months
+            }
+        }
+    };
+}
+
+// Investor portfolios: named groups of companies with holding weights. Weights are relative
+// and normalized to sum to 1, so they can be entered as percentages or amounts invested.
+// ownership_share is the fraction of the company the holding finances (PCAF attribution factor).
+const PORTFOLIO_WORST_PERFORMERS = 5;
+
+function validatePortfolioHoldings(holdings, field = 'holdings') {
+    const errors = [];
+    const seen = new Set();
+    if (!holdings.length) {
+        return [{ field, message: 'must list at least one company' }];
+    }
+    holdings.forEach((holding, i) => {
+        if (!holding || typeof holding.company_id !== 'string' || !holding.company_id) {
+            errors.push({ field: `${field}[${i}].company_id`, message: 'is required' });
+        } else if (seen.has(holding.company_id)) {
+            errors.push({ field: `${field}[${i}].company_id`, message: 'is listed more than once' });
+        } else {
+            seen.add(holding.company_id);
+        }
+        if (!holding || typeof holding.weight !== 'number' || !Number.isFinite(holding.weight) || holding.weight <= 0) {
+            errors.push({ field: `${field}[${i}].weight`, message: 'must be a positive number' });
+        }
+        if (holding && holding.ownership_share !== undefined && holding.ownership_share !== null
+            && (typeof holding.ownership_share !== 'number' || !(holding.ownership_share > 0) || holding.ownership_share > 1)) {
+            errors.push({ field: `${field}[${i}].ownership_share`, message: 'must be a fraction between 0 and 1' });
+        }
+    });
+    return errors;
+}
+
+function normalizePortfolioHoldings(holdings) {
+    return holdings.map(holding => (typeof holding.ownership_share === 'number'
+        ? { company_id: holding.company_id, weight: holding.weight, ownership_share: holding.ownership_share }
+        : { company_id: holding.company_id, weight: holding.weight }));
+}
+
+// Holdings must name companies the user can see
+function checkPortfolioHoldings(holdings, companies, user) {
+    return holdings
+        .map((holding, i) => (companies.some(c => c.id === holding.company_id) && canAccessCompany(user, holding.company_id)
+            ? null
+            : { field: `holdings[${i}].company_id`, message: 'does not match an existing company' }))
+        .filter(Boolean);
+}
+
+// Admins see every portfolio, everyone else only their own
+function canAccessPortfolio(user, portfolio) {
+    return user.role === 'admin' || portfolio.owner_id === user.id;
+}
+
+// Holding-weighted averages over the holdings that have a value; coverage is the weight they carry
+function weightedAverage(holdings, getValue) {
+    const covered = holdings.filter(h => getValue(h) !== null && getValue(h) !== undefined);
+    const weight = covered.reduce((sum, h) => sum + h.normalized_weight, 0);
+    return {
+        value: weight > 0 ? covered.reduce((sum, h) => sum + getValue(h) * h.normalized_weight, 0) / weight : null,
+        coverage: roundTo(weight, 4)
+    };
+}
+
+function buildPortfolioAnalytics(portfolio, companies, activities, factorTable, { limit = PORTFOLIO_WORST_PERFORMERS, asOf = moment.utc() } = {}) {
+    const { window_months, revenue_unit } = BENCHMARK_CONFIG.emissions_intensity;
+    const window = { start: asOf.clone().subtract(window_months, 'months'), end: asOf };
+    const totalWeight = portfolio.holdings.reduce((sum, h) => sum + h.weight, 0);
+
+    const holdings = portfolio.holdings.map(holding => {
+        const company = companies.find(c => c.id === holding.company_id);
+        const companyActivities = activities.filter(a => a.company_id === holding.company_id);
+        const breakdown = calculateScoreBreakdown(companyActivities, { industry: company && company.industry, asOf });
+        const measured = filterActivitiesByPeriod(companyActivities, window)
+            .filter(a => Array.isArray(a.quantities) && a.quantities.length);
+        const emissions = measured.length ? sumEmissions(measured, factorTable).total_tco2e : null;
+        const intensity = company ? calculateEmissionsIntensity(company, companyActivities, factorTable, asOf) : null;
+
+        return {
+            company_id: holding.company_id,
+            company_name: company ? company.name : null,
+            industry: company ? company.industry : null,
+            weight: holding.weight,
+            normalized_weight: totalWeight > 0 ? holding.weight / totalWeight : 0,
+            ownership_share: holding.ownership_share === undefined ? null : holding.ownership_share,
+            total_activities: companyActivities.length,
+            esg_score: companyActivities.length ? breakdown.score : null,
+            category_scores: Object.fromEntries(ESG_CATEGORIES.map(category => [category, breakdown.categories[category].score])),
+            categories: Object.fromEntries(ESG_CATEGORIES.map(category => [category, breakdown.categories[category].activity_count])),
+            emissions_tco2e: emissions,
+            emissions_intensity: intensity === null ? null : roundTo(intensity, 4),
+            financed_tco2e: emissions !== null && holding.ownership_share ? roundEmissions(emissions * holding.ownership_share) : null,
+            monthly_trend: getMonthlyTrend(companyActivities)
+        };
+    });
+
+    // Category mix: each company's share of activities per category, weighted by holding
+    const withActivities = holdings.filter(h => h.total_activities > 0);
+    const mixWeight = withActivities.reduce((sum, h) => sum + h.normalized_weight, 0);
+    const categoryMix = Object.fromEntries(ESG_CATEGORIES.map(category => [category, mixWeight > 0
+        ? roundTo(withActivities.reduce((sum, h) => sum + (h.categories[category] / h.total_activities) * h.normalized_weight, 0) / mixWeight, 4)
+        : null]));
+
+    const monthlyTrend = {};
+    holdings.forEach(holding => {
+        Object.entries(holding.monthly_trend).forEach(([month, count]) => {
+            monthlyTrend[month] = (monthlyTrend[month] || 0) + count;
+        });
+    });
+
+    const score = weightedAverage(holdings, h => h.esg_score);
+    const waci = weightedAverage(holdings, h => h.emissions_intensity);
+    const attributed = holdings.filter(h => h.financed_tco2e !== null);
+
+    return {
+        portfolio_id: portfolio.id,
+        name: portfolio.name,
+        as_of: asOf.format('YYYY-MM-DD'),
+        holdings_count: holdings.length,
+        weighted_esg_score: score.value === null ? null : roundTo(score.value, 1),
+        score_coverage: score.coverage,
+        weighted_category_scores: Object.fromEntries(ESG_CATEGORIES.map(category => {
+            const average = weightedAverage(withActivities, h => h.category_scores[category]).value;
+            return [category, average === null ? null : roundTo(average, 1)];
+        })),
+        category_mix: categoryMix,
+        category_counts: Object.fromEntries(ESG_CATEGORIES.map(category => [category, holdings.reduce((sum, h) => sum + h.categories[category], 0)])),
+        financed_emissions: {
+            total_tco2e: roundEmissions(attributed.reduce((sum, h) => sum + h.financed_tco2e, 0)),
+            window_months,
+            attributed_holdings: attributed.length,
+            // Holdings without an ownership share or without measured emissions in the window
+            unattributed_company_ids: holdings.filter(h => h.financed_tco2e === null).map(h => h.company_id)
+        },
+        weighted_emissions_intensity: {
+            value: waci.value === null ? null : roundTo(waci.value, 4),
+            coverage: waci.coverage,
+            unit: `tCO2e per PKR ${revenue_unit.toLocaleString('en-US')} revenue`
+        },
+        worst_performers: holdings
+            .filter(h => h.esg_score !== null)
+            .sort((a, b) => a.esg_score - b.esg_score)
+            .slice(0, limit)
+            .map(({ company_id, company_name, industry, esg_score, normalized_weight, emissions_intensity }) => ({
+                company_id, company_name, industry, esg_score, normalized_weight: roundTo(normalized_weight, 4), emissions_intensity
+            })),
+        monthly_trend: monthlyTrend,
+        holdings: holdings.map(({ monthly_trend, normalized_weight, ...holding }) => ({
+            ...holding,
+            normalized_weight: roundTo(normalized_weight, 4)
+        }))
+    };
+}
+
+// ESG score history. The overall and category scores are stored for every completed month and for
+// every generated report, so later corrections and recency decay do not rewrite the score a company
+// had at the time. Months that ended before the server first saw them are backfilled from the
+// current data and marked as backfill.
+const SCORE_HISTORY_GRANULARITIES = ['monthly', 'quarterly'];
+const SCORE_HISTORY_BACKFILL_MONTHS = Number(process.env.SCORE_HISTORY_BACKFILL_MONTHS) || 36;
+const SCORE_SNAPSHOT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+let scoreSnapshotTimer = null;
+
+// Scores the activities dated on or before asOf, as the score-breakdown endpoint would on that day
+function buildScoreSnapshot(company, activities, asOf, details = {}) {
+    const dated = activities.filter(a => isScoredActivity(a) && !getActivityDate(a).isAfter(asOf));
+    const breakdown = calculateScoreBreakdown(dated, { industry: company.industry, asOf });
+    return {
+        id: uuidv4(),
+        company_id: company.id,
+        period: asOf.format('YYYY-MM'),
+        as_of: asOf.format('YYYY-MM-DD'),
+        score: dated.length ? breakdown.score : 0,
+        categories: Object.fromEntries(ESG_CATEGORIES.map(category => [category, breakdown.categories[category].score])),
+        total_activities: dated.length,
+        created_at: moment().toISOString(),
+        ...details
+    };
+}
+
+// Adds the missing month-end snapshots for every company with activities, from its first activity
+// month (at most SCORE_HISTORY_BACKFILL_MONTHS back) up to the last completed month
+async function recordMonthlyScoreSnapshots(now = moment.utc()) {
+    const lastMonthEnd = now.clone().subtract(1, 'month').endOf('month');
+    const earliest = lastMonthEnd.clone().subtract(SCORE_HISTORY_BACKFILL_MONTHS - 1, 'months').startOf('month');
+    const snapshotKey = snapshot => `${snapshot.company_id}:${snapshot.period}`;
+    
+    const companies = await readCompanies();
+    const activities = await readActivities();
+    const taken = new Set((await readCollection(SCORE_SNAPSHOTS)).filter(s => s.trigger !== 'report').map(snapshotKey));
+    
+    const created = [];
+    companies.forEach(company => {
+        const companyActivities = activities.filter(a => a.company_id === company.id);
+        if (!companyActivities.length) return;
+        
+        const first = moment.min(companyActivities.map(getActivityDate)).startOf('month');
+        for (const month = moment.max(first, earliest).clone(); !month.isAfter(lastMonthEnd); month.add(1, 'month')) {
+            const asOf = month.clone().endOf('month');
+            if (taken.has(`${company.id}:${asOf.format('YYYY-MM')}`)) continue;
+            const trigger = asOf.isSame(lastMonthEnd, 'month') ? 'monthly' : 'backfill';
+            created.push(buildScoreSnapshot(company, companyActivities, asOf, { trigger }));
+        }
+    });
+    if (!created.length) return 0;
+    
+    await updateCollection(SCORE_SNAPSHOTS, snapshots => {
+        // Another run may have stored the same months in the meantime
+        const present = new Set(snapshots.filter(s => s.trigger !== 'report').map(snapshotKey));
+        return [...snapshots, ...created.filter(s => !present.has(snapshotKey(s)))];
+    });
+    log('info', 'Recorded ESG score snapshots', {
+        snapshots: created.length,
+        companies: new Set(created.map(s => s.company_id)).size,
+        through: lastMonthEnd.format('YYYY-MM')
+    });
+    return created.length;
+}
+
+function startScoreSnapshots() {
+    if (scoreSnapshotTimer) return;
+    const run = () => recordMonthlyScoreSnapshots().catch(error => log('error', 'Failed to record ESG score snapshots', { error: error.message }));
+    scoreSnapshotTimer = setInterval(run, SCORE_SNAPSHOT_INTERVAL_MS);
+    scoreSnapshotTimer.unref();
+    run();
+}
+
+function stopScoreSnapshots() {
+    clearInterval(scoreSnapshotTimer);
+    scoreSnapshotTimer = null;
+}
+
+// One point per month or quarter from the month-end snapshots; a quarter shows its latest month
+function buildScoreHistory(snapshots, { granularity = 'monthly', from, to } = {}) {
+    const points = new Map();
+    snapshots
+        .filter(s => s.trigger !== 'report' && (!from || s.as_of >= from) && (!to || s.as_of <= to))
+        .sort((a, b) => a.as_of.localeCompare(b.as_of))
+        .forEach(snapshot => {
+            const date = moment.utc(snapshot.as_of, 'YYYY-MM-DD');
+            const period = granularity === 'quarterly' ? `${date.year()}-Q${date.quarter()}` : snapshot.period;
+            points.set(period, {
+                period,
+                as_of: snapshot.as_of,
+                score: snapshot.score,
+                categories: snapshot.categories,
+                total_activities: snapshot.total_activities,
+                trigger: snapshot.trigger
+            });
+        });
+    return [...points.values()];
+}
+
+// ESG targets: progress comes from activity data and a straight-line forecast to the deadline.
+// emissions and quantity targets read yearly totals from activity quantities; reported targets
+// take the value recorded on each linked activity (e.g. 25 for "25% women on the board").
+const TARGET_SOURCES = ['emissions', 'quantity', 'reported'];
+
+function validateTargetActivities(links, field = 'activities') {
+    const errors = [];
+    links.forEach((link, i) => {
+        if (!link || typeof link.activity_id !== 'string' || !link.activity_id) {
+            errors.push({ field: `${field}[${i}].activity_id`, message: 'is required' });
+        }
+        if (link && link.value !== undefined && (typeof link.value !== 'number' || !Number.isFinite(link.value))) {
+            errors.push({ field: `${field}[${i}].value`, message: 'must be a number' });
+        }
+    });
+    return errors;
+}
+
+function normalizeTargetActivities(links) {
+    return links.map(link => (link.value === undefined
+        ? { activity_id: link.activity_id }
+        : { activity_id: link.activity_id, value: link.value }));
+}
+
+// Webhook receivers must be plain http(s) endpoints
+function validateWebhookUrl(url, field = 'url') {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return [{ field, message: 'must be a valid URL' }];
+    }
+    return ['http:', 'https:'].includes(parsed.protocol) ? [] : [{ field, message: 'must use http or https' }];
+}
+
+// webhook.test is only sent on request, so subscriptions cannot list it
+const WEBHOOK_SUBSCRIBABLE_EVENTS = webhooks.WEBHOOK_EVENTS.filter(event => event !== 'webhook.test');
+
+function validateWebhookEvents(events, field = 'events') {
+    if (!events.length) return [{ field, message: 'must list at least one event' }];
+    return events
+        .map((event, i) => (WEBHOOK_SUBSCRIBABLE_EVENTS.includes(event)
+            ? null
+            : { field: `${field}[${i}]`, message: `must be one of: ${WEBHOOK_SUBSCRIBABLE_EVENTS.join(', ')}` }))
+        .filter(Boolean);
+}
+
+// Secrets are only shown when a subscription is created
+function sanitizeWebhook(subscription) {
+    const { secret, ...safeSubscription } = subscription;
+    return safeSubscription;
+}
+
+// Rules that span fields, checked on the complete target after creates and updates
+function checkTarget(target, companyActivities) {
+    const errors = [];
+    if (!moment.utc(target.target_date).isAfter(moment.utc(target.baseline_date))) {
+        errors.push({ field: 'target_date', message: 'must be after baseline_date' });
+    }
+    if (target.target_value === target.baseline_value) {
+        errors.push({ field: 'target_value', message: 'must differ from baseline_value' });
+    }
+    if (target.source === 'quantity' && !target.quantity_type) {
+        errors.push({ field: 'quantity_type', message: 'is required when source is quantity' });
+    }
+
+    const ids = new Set(companyActivities.map(a => a.id));
+    (target.activities || []).forEach((link, i) => {
+        if (!ids.has(link.activity_id)) {
+            errors.push({ field: `activities[${i}].activity_id`, message: 'must be an activity of this company' });
+        }
+        if (target.source === 'reported' && link.value === undefined) {
+            errors.push({ field: `activities[${i}].value`, message: 'is required for reported targets' });
+        }
+    });
+    return errors;
+}
+
+function getTargetUnit(target) {
+    if (target.unit) return target.unit;
+    if (target.source === 'emissions') return 'tCO2e';
+    if (target.source === 'quantity') return EMISSION_SOURCES[target.quantity_type].unit;
+    return null;
+}
+
+// Dated values after the baseline. Yearly totals only count once the calendar year has closed,
+// so a half-recorded year does not look like a sudden drop.
+function getTargetObservations(target, companyActivities, factorTable, asOf) {
+    const baselineDate = moment.utc(target.baseline_date).endOf('day');
+    const links = new Map((target.activities || []).map(link => [link.activity_id, link]));
+    const dated = companyActivities.filter(a => isScoredActivity(a) && getActivityDate(a).isValid() && !getActivityDate(a).isAfter(asOf));
+
+    if (target.source === 'reported') {
+        return dated
+            .filter(a => links.has(a.id) && getActivityDate(a).isAfter(baselineDate))
+            .map(a => ({ date: getActivityDate(a).format('YYYY-MM-DD'), value: links.get(a.id).value, activity_id: a.id }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Without linked activities every activity of the company counts
+    const sources = links.size ? dated.filter(a => links.has(a.id)) : dated;
+    const byYear = {};
+    sources.forEach(activity => {
+        const quantities = (activity.quantities || [])
+            .filter(q => target.source === 'emissions' || q.type === target.quantity_type);
+        if (!quantities.length) return;
+        const year = getActivityDate(activity).year();
+        (byYear[year] = byYear[year] || []).push(activity);
+    });
+
+    return Object.keys(byYear).map(Number).sort((a, b) => a - b)
+        .map(year => ({ year, end: moment.utc({ year }).endOf('year') }))
+        .filter(({ end }) => end.isAfter(baselineDate) && !end.isAfter(asOf))
+        .map(({ year, end }) => {
+            const value = target.source === 'emissions'
+                ? sumEmissions(byYear[year], factorTable).total_tco2e
+                : byYear[year].reduce((sum, a) => sum + a.quantities
+                    .filter(q => q.type === target.quantity_type)
+                    .reduce((total, q) => total + q.amount, 0), 0);
+            return { date: end.format('YYYY-MM-DD'), value: roundTo(value, 4), year };
+        });
+}
+
+// Least-squares line through the baseline and the observations, with time in years
+function fitLinearTrend(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+    return { slope, intercept: meanY - slope * meanX };
+}
+
+function calculateTargetProgress(target, companyActivities, factorTable, asOf = moment.utc()) {
+    const baselineDate = moment.utc(target.baseline_date);
+    const deadline = moment.utc(target.target_date).endOf('day');
+    const direction = target.target_value < target.baseline_value ? 'decrease' : 'increase';
+    const reached = value => (direction === 'decrease' ? value <= target.target_value : value >= target.target_value);
+    const yearsFromBaseline = date => moment.utc(date).diff(baselineDate, 'days') / 365.25;
+
+    const observations = getTargetObservations(target, companyActivities, factorTable, asOf);
+    const latest = observations[observations.length - 1] || null;
+    const currentValue = latest ? latest.value : null;
+
+    let forecast = null;
+    if (observations.length) {
+        const points = [{ x: 0, y: target.baseline_value }, ...observations.map(o => ({ x: yearsFromBaseline(o.date), y: o.value }))];
+        const { slope, intercept } = fitLinearTrend(points);
+        const valueAtDeadline = intercept + slope * yearsFromBaseline(deadline);
+        const towardsTarget = direction === 'decrease' ? slope < 0 : slope > 0;
+        forecast = {
+            method: 'linear_least_squares',
+            points: points.length,
+            slope_per_year: roundTo(slope, 4),
+            value_at_deadline: roundTo(valueAtDeadline, 4),
+            meets_target: reached(valueAtDeadline),
+            projected_completion_date: towardsTarget
+                ? baselineDate.clone().add(Math.round(((target.target_value - intercept) / slope) * 365.25), 'days').format('YYYY-MM-DD')
+                : null
+        };
+    }
+
+    let status;
+    if (currentValue !== null && reached(currentValue)) status = 'achieved';
+    else if (asOf.isAfter(deadline)) status = 'missed';
+    else if (!forecast) status = 'no_data';
+    else status = forecast.meets_target ? 'on_track' : 'off_track';
+
+    return {
+        id: target.id,
+        company_id: target.company_id,
+        title: target.title,
+        category: target.category,
+        metric: target.metric,
+        source: target.source,
+        quantity_type: target.quantity_type || null,
+        unit: getTargetUnit(target),
+        direction,
+        baseline_value: target.baseline_value,
+        baseline_date: target.baseline_date,
+        target_value: target.target_value,
+        target_date: target.target_date,
+        current_value: currentValue,
+        current_as_of: latest ? latest.date : null,
+        progress_percent: currentValue === null ? 0
+            : roundTo(((currentValue - target.baseline_value) / (target.target_value - target.baseline_value)) * 100, 1),
+        status,
+        forecast,
+        activities: target.activities || [],
+        observations,
+        evaluated_at: asOf.format('YYYY-MM-DD')
+    };
+}
+
+function countTargetsByStatus(progress) {
+    return progress.reduce((counts, target) => {
+        counts[target.status] = (counts[target.status] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+async function readCompanyTargets(companyId) {
+    return (await readCollection(TARGETS)).filter(t => t.company_id === companyId);
+}
+
+// Framework-specific report bodies
+function resolveReportFramework(requested, company) {
+    const candidate = requested || company.esg_framework;
+    return REPORT_FRAMEWORKS[candidate] ? candidate : (requested || 'GRI');
+}
+
+function activityMatchesSection(activity, section) {
+    if (section.category && activity.category !== section.category) {
+        return false;
+    }
+    const text = [activity.title, activity.description, activity.metrics]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return section.keywords.some(keyword => text.includes(keyword.toLowerCase()));
+}
+
+function getFrameworkDefinition(framework, company) {
+    const definition = REPORT_FRAMEWORKS[framework];
+    if (!definition) return null;
+
+    if (definition.industries) {
+        const industry = definition.industries[company.industry];
+        if (!industry) {
+            return { name: definition.name, standard: null, sections: [] };
+        }
+        return { name: definition.name, standard: industry.standard, sections: industry.sections };
+    }
+
+    return { name: definition.name, standard: null, sections: definition.sections };
+}
+
+// targets: target progress as of the report date, listed under sections with include_targets
+function buildFrameworkReport(framework, company, activities, { targets = [] } = {}) {
+    const definition = getFrameworkDefinition(framework, company);
+    if (!definition) {
+        log('debug', `No framework definition for ${framework}, skipping structured report body`);
+        return null;
+    }
+
+    const mappedIds = new Set();
+    const sections = definition.sections.map(section => {
+        const matches = activities.filter(activity => activityMatchesSection(activity, section));
+        matches.forEach(activity => mappedIds.add(activity.id));
+        const sectionTargets = section.include_targets ? targets : [];
+
+        const body = {
+            code: section.code,
+            title: section.title,
+            category: section.category,
+            status: matches.length > 0 || sectionTargets.length > 0 ? 'covered' : 'gap',
+            activities: matches.map(activity => ({
+                id: activity.id,
+                title: activity.title,
+                category: activity.category,
+                activity_date: activity.activity_date || null,
+                impact_score: activity.impact_score || null,
+                metrics: activity.metrics || null
+            }))
+        };
+        if (section.include_targets) {
+            body.targets = sectionTargets;
+        }
+        return body;
+    });
+
+    const covered = sections.filter(section => section.status === 'covered').length;
+    const body = {
+        name: definition.name,
+        standard: definition.standard,
+        industry: company.industry || null,
+        sections,
+        coverage: {
+            covered,
+            total: sections.length,
+            percent: sections.length ? Math.round((covered / sections.length) * 100) : 0
+        },
+        gaps: sections.filter(section => section.status === 'gap').map(section => section.code),
+        unmapped_activities: activities.filter(activity => !mappedIds.has(activity.id)).map(activity => activity.id)
+    };
+
+    if (!definition.sections.length) {
+        body.note = `No ${framework} disclosure set is defined for industry "${company.industry || 'unknown'}"`;
+    }
+
+    log('debug', `Built ${framework} report body`, { sections: sections.length, covered, gaps: body.gaps.length });
+    return body;
+}
+
+// Regulatory disclosure checklists (config/compliance-checklists.json). An item is met when all of
+// its checks pass against the company profile, its targets and its activities dated within the
+// regulator's lookback window; framework variants add items for the company's reporting framework.
+// Drafts and rejected activities do not count as disclosed.
+const COMPLIANCE_ITEM_LEVELS = Object.keys(COMPLIANCE_CONFIG.level_weights);
+
+function getComplianceChecklist(regulator, framework) {
+    const definition = COMPLIANCE_CONFIG.regulators[regulator];
+    const variant = framework && definition.frameworks ? definition.frameworks[framework] : null;
+    return {
+        regulator,
+        name: definition.name,
+        framework: variant ? framework : null,
+        lookback_months: definition.lookback_months,
+        items: [...definition.items, ...(variant ? variant.items : [])]
+    };
+}
+
+function activityMatchesCheck(activity, check) {
+    if (check.category && activity.category !== check.category) return false;
+    return !check.keywords || activityMatchesSection(activity, { category: null, keywords: check.keywords });
+}
+
+function evaluateComplianceCheck(check, { company, activities, targets }) {
+    const result = { type: check.type, label: check.label };
+    const minCount = check.min_count || 1;
+    let matches = null;
+    
+    switch (check.type) {
+        case 'profile': {
+            const missing = check.fields.filter(field => company[field] === undefined || company[field] === null || company[field] === '');
+            return { ...result, passed: !missing.length, missing_fields: missing };
+        }
+        case 'target': {
+            const found = targets.filter(t => (!check.category || t.category === check.category) && (!check.source || t.source === check.source));
+            return { ...result, passed: found.length >= minCount, found: found.length, required: minCount, target_ids: found.map(t => t.id) };
+        }
+        case 'emissions': {
+            const measured = new Set(activities
+                .filter(a => activityMatchesCheck(a, check))
+                .flatMap(a => (a.quantities || []).map(q => q.scope)));
+            const missing = (check.scopes || GHG_SCOPES).filter(scope => !measured.has(scope));
+            return { ...result, passed: !missing.length, missing_scopes: missing };
+        }
+        case 'activity':
+            matches = activities.filter(a => activityMatchesCheck(a, check));
+            break;
+        case 'evidence':
+            matches = activities.filter(a => activityMatchesCheck(a, check) && a.evidence && a.evidence.length);
+            break;
+        case 'verified':
+            matches = activities.filter(a => activityMatchesCheck(a, check) && a.status === 'verified');
+            break;
+        default:
+            throw new Error(`Unknown compliance check type: ${check.type}`);
+    }
+    return { ...result, passed: matches.length >= minCount, found: matches.length, required: minCount, activity_ids: matches.map(a => a.id) };
+}
+
+// Readiness weighs each item's share of passed checks by its level (required counts double by default)
+function buildComplianceReport(company, activities, targets, { regulator, framework, asOf = moment.utc() }) {
+    const checklist = getComplianceChecklist(regulator, framework);
+    const windowStart = asOf.clone().subtract(checklist.lookback_months, 'months');
+    const disclosed = activities.filter(a => isScoredActivity(a)
+        && getActivityDate(a).isAfter(windowStart) && !getActivityDate(a).isAfter(asOf));
+    
+    const items = checklist.items.map(item => {
+        const checks = item.checks.map(check => evaluateComplianceCheck(check, { company, activities: disclosed, targets }));
+        const passed = checks.filter(check => check.passed).length;
+        return {
+            code: item.code,
+            title: item.title,
+            level: item.level,
+            category: item.category,
+            status: passed === checks.length ? 'met' : (passed > 0 ? 'partial' : 'missing'),
+            completion: roundTo(passed / checks.length, 4),
+            checks
+        };
+    });
+    
+    const weightOf = item => COMPLIANCE_CONFIG.level_weights[item.level] || 1;
+    const totalWeight = items.reduce((sum, item) => sum + weightOf(item), 0);
+    const levelSummary = level => {
+        const ofLevel = items.filter(item => item.level === level);
+        return {
+            met: ofLevel.filter(item => item.status === 'met').length,
+            partial: ofLevel.filter(item => item.status === 'partial').length,
+            missing: ofLevel.filter(item => item.status === 'missing').length,
+            total: ofLevel.length
+        };
+    };
+    
+    return {
+        company_id: company.id,
+        company_name: company.name,
+        regulator: checklist.regulator,
+        checklist: checklist.name,
+        framework: checklist.framework,
+        as_of: asOf.format('YYYY-MM-DD'),
+        window_start: windowStart.format('YYYY-MM-DD'),
+        readiness: {
+            percent: totalWeight ? Math.round((items.reduce((sum, item) => sum + item.completion * weightOf(item), 0) / totalWeight) * 100) : 0,
+            ...Object.fromEntries(COMPLIANCE_ITEM_LEVELS.map(level => [level, levelSummary(level)]))
+        },
+        items,
+        // Required gaps first, then in checklist order
+        gaps: items
+            .filter(item => item.status !== 'met')
+            .sort((a, b) => COMPLIANCE_ITEM_LEVELS.indexOf(a.level) - COMPLIANCE_ITEM_LEVELS.indexOf(b.level))
+            .map(item => ({
+                code: item.code,
+                title: item.title,
+                level: item.level,
+                status: item.status,
+                missing: item.checks.filter(check => !check.passed).map(check => check.label)
+            }))
+    };
+}
+
+// Report exports (PDF, CSV, JSON-LD), all rendered locally
+const EXPORT_FORMATS = ['pdf', 'csv', 'jsonld'];
+
+// Leaves are the claims of the report's activities, in the order of activity_ids
+function getReportLeafHashes(activities) {
+    return activities.map(activity => merkle.hashLeaf(getActivityClaim(activity)));
+}
+
+function getReportActivities(report, activities) {
+    if (Array.isArray(report.activity_ids)) {
+        const byId = new Map(activities.map(a => [a.id, a]));
+        return report.activity_ids.map(id => byId.get(id)).filter(Boolean);
+    }
+    // Reports generated before activity_ids were stored: rebuild from the period bounds
+    const companyActivities = activities.filter(a => a.company_id === report.company_id);
+    if (!report.period_start) return companyActivities;
+    return filterActivitiesByPeriod(companyActivities, {
+        start: moment.utc(report.period_start).startOf('day'),
+        end: moment.utc(report.period_end).endOf('day')
+    });
+}
+
+function buildReportCSV(report, company, activities) {
+    const rows = activities.map(activity => ({
+        ...activity,
+        company_name: company ? company.name : report.company_name
+    }));
+    return toCSV(ACTIVITY_CSV_COLUMNS, rows);
+}
+
+function buildReportJSONLD(report, company, activities) {
+    const reportUri = `urn:green-ledger:report:${report.id}`;
+    return {
+        '@context': {
+            '@vocab': 'https://schema.org/',
+            gl: 'urn:green-ledger:vocab:',
+            'gl:esgScore': { '@type': 'xsd:decimal' },
+            xsd: 'http://www.w3.org/2001/XMLSchema#'
+        },
+        '@type': ['Report', 'gl:ESGReport'],
+        '@id': reportUri,
+        identifier: report.id,
+        name: `${report.framework} ESG Report - ${report.company_name}`,
+        dateCreated: report.generated_at,
+        temporalCoverage: report.period_start ? `${report.period_start}/${report.period_end}` : report.period,
+        'gl:framework': report.framework,
+        'gl:period': report.period,
+        'gl:esgScore': report.esg_score,
+        'gl:totalActivities': report.total_activities,
+        'gl:activitiesByCategory': report.activities_by_category,
+        'gl:verification': report.verification || null,
+        'gl:frameworkReport': report.framework_report || null,
+        'gl:emissions': report.emissions || null,
+        'gl:reportHash': { '@type': 'gl:SHA256Digest', 'gl:value': report.hash },
+        about: {
+            '@type': 'Organization',
+            '@id': `urn:green-ledger:company:${report.company_id}`,
+            identifier: report.company_id,
+            name: company ? company.name : report.company_name,
+            description: company ? company.description || null : null,
+            location: company ? company.location || null : null,
+            'gl:industry': company ? company.industry || null : null,
+            'gl:size': company ? company.size || null : null
+        },
+        hasPart: activities.map(activity => ({
+            '@type': 'gl:ESGActivity',
+            '@id': `urn:green-ledger:activity:${activity.id}`,
+            identifier: activity.id,
+            name: activity.title,
+            description: activity.description || null,
+            'gl:category': activity.category,
+            'gl:status': activity.status || null,
+            'gl:activityDate': activity.activity_date || null,
+            'gl:impactScore': activity.impact_score ?? null,
+            'gl:investmentAmount': activity.investment_amount ?? null,
+            'gl:metrics': activity.metrics || null,
+            'gl:quantities': activity.quantities || null,
+            'gl:evidence': (activity.evidence || []).map(evidence => ({
+                '@type': 'MediaObject',
+                name: evidence.filename,
+                encodingFormat: evidence.content_type,
+                contentSize: evidence.size,
+                'gl:sha256': evidence.sha256
+            })),
+            'gl:hash': activity.hash,
+            'gl:prevHash': activity.prev_hash
+        }))
+    };
+}
+
+function writeReportPDF(doc, report, company, activities) {
+    const heading = text => doc.moveDown(0.8).fontSize(13).fillColor('#386641').text(text).moveDown(0.3).fontSize(10).fillColor('#000000');
+    const field = (label, value) => doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value === null || value === undefined || value === '' ? 'N/A' : String(value));
+
+    doc.fontSize(20).fillColor('#386641').text(`${report.framework} ESG Report`, { align: 'center' });
+    doc.fontSize(14).fillColor('#000000').text(report.company_name, { align: 'center' });
+    doc.fontSize(9).fillColor('#555555').text(`Period: ${report.period}${report.period_start ? ` (${report.period_start} to ${report.period_end})` : ''}  |  Generated: ${moment(report.generated_at).format('YYYY-MM-DD HH:mm')} UTC`, { align: 'center' });
+    doc.fillColor('#000000').fontSize(10);
+
+    heading('Company Profile');
+    field('Name', company ? company.name : report.company_name);
+    field('Industry', company && company.industry);
+    field('Location', company && company.location);
+    field('Size', company && company.size);
+    field('ESG Framework', company && company.esg_framework);
+    field('Description', company && company.description);
+
+    heading('Summary');
+    field('ESG Score', report.esg_score);
+    field('Total Activities', report.total_activities);
+    if (report.verification) {
+        field('Independently Verified', `${report.verification.verified} of ${report.verification.total} (${Math.round(report.verification.verified_share * 100)}%)`);
+    }
+    field('Environmental', report.activities_by_category.environmental);
+    field('Social', report.activities_by_category.social);
+    field('Governance', report.activities_by_category.governance);
+    if (report.emissions) {
+        field('Total Emissions (tCO2e)', report.emissions.total_tco2e);
+        field('Scope 1 / 2 / 3 (tCO2e)', `${report.emissions.by_scope.scope_1} / ${report.emissions.by_scope.scope_2} / ${report.emissions.by_scope.scope_3}`);
+        if (report.emissions.year_over_year.change_percent !== null) {
+            field('Change vs previous year', `${report.emissions.year_over_year.change_percent}%`);
+        }
+    }
+
+    if (report.framework_report) {
+        const fr = report.framework_report;
+        heading(`${fr.name}${fr.standard ? ` - ${fr.standard}` : ''} (${fr.coverage.covered}/${fr.coverage.total} covered)`);
+        if (fr.note) doc.text(fr.note);
+        fr.sections.forEach(section => {
+            doc.font('Helvetica-Bold').text(`${section.code}  ${section.title}  [${section.status.toUpperCase()}]`);
+            doc.font('Helvetica').fillColor('#555555')
+                .text(section.activities.length ? section.activities.map(a => a.title).join(', ') : 'No supporting activity', { indent: 12 })
+                .fillColor('#000000');
+            (section.targets || []).forEach(target => {
+                const current = target.current_value === null ? 'no data yet' : `${target.current_value} ${target.unit || ''}`.trim();
+                doc.text(`Target: ${target.title} - ${target.baseline_value} to ${target.target_value} ${target.unit || ''} by ${target.target_date}; ` +
+                    `current ${current} [${target.status.replace('_', ' ').toUpperCase()}]`, { indent: 12 });
+            });
+        });
+    }
+
+    heading('Activities');
+    if (!activities.length) {
+        doc.text('No activities in this period.');
+    }
+    activities.forEach((activity, index) => {
+        doc.font('Helvetica-Bold').text(`${index + 1}. ${activity.title} (${activity.category})`);
+        doc.font('Helvetica').text(`Date: ${activity.activity_date || 'N/A'}  |  Impact: ${activity.impact_score ?? 'N/A'}/10  |  Investment: ${activity.investment_amount ? 'PKR ' + Number(activity.investment_amount).toLocaleString('en-US') : 'N/A'}`, { indent: 12 });
+        if (activity.description) doc.text(activity.description, { indent: 12 });
+        if (activity.metrics) doc.text(`Metrics: ${activity.metrics}`, { indent: 12 });
+        doc.font('Courier').fontSize(7).fillColor('#555555').text(`Hash: ${activity.hash}`, { indent: 12 }).font('Helvetica').fontSize(10).fillColor('#000000');
+        doc.moveDown(0.3);
+    });
+
+    heading('Verification');
+    doc.text('The report hash below is a SHA-256 digest of the company, framework, period and included activities. Compare it with GET /api/reports/' + report.id + ' on the Green Ledger server.');
+    doc.moveDown(0.3).font('Courier').fontSize(9).text(report.hash).font('Helvetica').fontSize(10);
+}
+
+// Schema validation: declarative field rules per entity. Unknown and server-owned
+// fields are stripped (or rejected with rejectUnknown) and every failing field is reported.
+const INDUSTRIES = ['textiles', 'cement', 'banking', 'manufacturing', 'energy', 'technology', 'pharmaceuticals', 'food'];
+const COMPANY_SIZES = ['small', 'medium', 'large'];
+const ESG_FRAMEWORKS = ['GRI', 'SASB', 'TCFD', 'Custom'];
+
+const SCHEMAS = {
+    company: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        industry: { type: 'string', required: true, enum: INDUSTRIES },
+        location: { type: 'string', maxLength: 200 },
+        size: { type: 'string', enum: COMPANY_SIZES },
+        esg_framework: { type: 'string', enum: ESG_FRAMEWORKS },
+        annual_revenue: { type: 'number', min: 0, max: 1e15 },
+        description: { type: 'string', maxLength: 5000 }
+    },
+    activity: {
+        company_id: { type: 'string', required: true },
+        category: { type: 'string', required: true, enum: ESG_CATEGORIES },
+        title: { type: 'string', required: true, maxLength: 300 },
+        description: { type: 'string', required: true, maxLength: 5000 },
+        impact_score: { type: 'number', integer: true, min: 1, max: 10 },
+        investment_amount: { type: 'number', min: 0, max: 1e13 },
+        activity_date: { type: 'date' },
+        metrics: { type: 'string', maxLength: 2000 },
+        quantities: { type: 'array', validate: validateQuantities, transform: normalizeQuantities },
+        status: { type: 'string', enum: ['draft', 'submitted'] }
+    },
+    reportRequest: {
+        framework: { type: 'string', enum: ESG_FRAMEWORKS },
+        period: { type: 'string', maxLength: 50 },
+        from: { type: 'date' },
+        to: { type: 'date' }
+    },
+    login: {
+        email: { type: 'string', required: true, maxLength: 320 },
+        password: { type: 'string', required: true, maxLength: 200, trim: false }
+    },
+    // One optional non-negative factor per emission source, in kgCO2e per source unit
+    emissionFactors: Object.fromEntries(Object.keys(EMISSION_SOURCES).map(source => [source, { type: 'number', min: 0 }])),
+    registration: {
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true, minLength: 8, maxLength: 200, trim: false },
+        name: { type: 'string', maxLength: 200 }
+    },
+    user: {
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true, minLength: 8, maxLength: 200, trim: false },
+        name: { type: 'string', maxLength: 200 },
+        role: { type: 'string', required: true, enum: ROLES },
+        company_ids: { type: 'array', items: 'string' }
+    },
+    userUpdate: {
+        name: { type: 'string', maxLength: 200 },
+        role: { type: 'string', enum: ROLES },
+        company_ids: { type: 'array', items: 'string' }
+    },
+    amendment: {
+        reason: { type: 'string', required: true, maxLength: 2000 },
+        changes: { type: 'object' }
+    },
+    submission: {
+        comment: { type: 'string', maxLength: 2000 }
+    },
+    target: {
+        category: { type: 'string', required: true, enum: ESG_CATEGORIES },
+        title: { type: 'string', required: true, maxLength: 300 },
+        metric: { type: 'string', required: true, maxLength: 200 },
+        source: { type: 'string', required: true, enum: TARGET_SOURCES },
+        quantity_type: { type: 'string', enum: Object.keys(EMISSION_SOURCES) },
+        unit: { type: 'string', maxLength: 50 },
+        baseline_value: { type: 'number', required: true },
+        baseline_date: { type: 'date', required: true },
+        target_value: { type: 'number', required: true },
+        target_date: { type: 'date', required: true },
+        activities: { type: 'array', validate: validateTargetActivities, transform: normalizeTargetActivities }
+    },
+    signingKey: {
+        public_key: { type: 'string', required: true, maxLength: 2000 }
+    },
+    attestationRequest: {
+        decision: { type: 'string', required: true, enum: ['verified', 'rejected'] },
+        comment: { type: 'string', maxLength: 2000 },
+        key_id: { type: 'string', required: true, maxLength: 64 }
+    },
+    attestation: {
+        decision: { type: 'string', required: true, enum: ['verified', 'rejected'] },
+        comment: { type: 'string', maxLength: 2000 },
+        signed_at: { type: 'string', required: true, maxLength: 40 },
+        key_id: { type: 'string', required: true, maxLength: 64 },
+        signature: { type: 'string', required: true, maxLength: 200 }
+    },
+    activityQuery: {
+        company_id: { type: 'string' },
+        category: { type: 'string', enum: ESG_CATEGORIES },
+        status: { type: 'string', enum: ACTIVITY_STATUSES },
+        q: { type: 'string', maxLength: 200 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        min_impact: { type: 'number', min: 1, max: 10 },
+        max_impact: { type: 'number', min: 1, max: 10 },
+        sort: { type: 'string', enum: ['created_at', 'activity_date', 'impact_score', 'investment_amount', 'title'] },
+        order: { type: 'string', enum: ['asc', 'desc'] },
+        page: { type: 'number', integer: true, min: 1 },
+        page_size: { type: 'number', integer: true, min: 1, max: 100 },
+        history: { type: 'string', enum: ['true', 'false'] },
+        include_retracted: { type: 'string', enum: ['true', 'false'] }
+    },
+    portfolio: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        holdings: { type: 'array', required: true, validate: validatePortfolioHoldings, transform: normalizePortfolioHoldings }
+    },
+    complianceQuery: {
+        regulator: { type: 'string', enum: COMPLIANCE_REGULATORS },
+        framework: { type: 'string', enum: ESG_FRAMEWORKS },
+        as_of: { type: 'date' }
+    },
+    scoreHistoryQuery: {
+        granularity: { type: 'string', enum: SCORE_HISTORY_GRANULARITIES },
+        from: { type: 'date' },
+        to: { type: 'date' }
+    },
+    portfolioAnalyticsQuery: {
+        limit: { type: 'number', integer: true, min: 1, max: 50 }
+    },
+    webhook: {
+        url: { type: 'string', required: true, maxLength: 2000, validate: validateWebhookUrl },
+        events: { type: 'array', required: true, items: 'string', validate: validateWebhookEvents, transform: events => [...new Set(events)] },
+        company_ids: { type: 'array', items: 'string' },
+        description: { type: 'string', maxLength: 500 },
+        active: { type: 'boolean' }
+    },
+    webhookDeliveryQuery: {
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        limit: { type: 'number', integer: true, min: 1, max: 200 }
+    },
+    logQuery: {
+        stream: { type: 'string', enum: LOG_STREAMS },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        level: { type: 'string', enum: LOG_LEVELS },
+        path: { type: 'string', maxLength: 300 },
+        entity_id: { type: 'string', maxLength: 100 },
+        request_id: { type: 'string', maxLength: 128 },
+        user_id: { type: 'string', maxLength: 100 },
+        action: { type: 'string', maxLength: 50 },
+        limit: { type: 'number', integer: true, min: 1, max: 1000 }
+    },
+    importQuery: {
+        format: { type: 'string', enum: SPREADSHEET_FORMATS },
+        sheet: { type: 'string', maxLength: 100 },
+        mapping: { type: 'string', maxLength: 10000 },
+        dry_run: { type: 'string', enum: ['true', 'false'] },
+        company_id: { type: 'string' }
+    }
+};
+
+function validateField(field, rule, raw) {
+    let value = raw;
+
+    // HTML forms submit numbers as strings
+    if (rule.type === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        value = Number(value);
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            // Passwords are compared exactly as typed
+            if (rule.trim !== false) value = value.trim();
+            if (rule.required && !value) return { error: 'is required' };
+            if (rule.minLength && value.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+            if (rule.maxLength && value.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+            break;
+        case 'email':
+            if (typeof value !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value.trim())) return { error: 'must be a valid email address' };
+            value = value.trim().toLowerCase();
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+            if (rule.integer && !Number.isInteger(value)) return { error: 'must be a whole number' };
+            if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return { error: 'must be true or false' };
+            break;
+        case 'date':
+            if (typeof value !== 'string' || !moment.utc(value, 'YYYY-MM-DD', true).isValid()) return { error: 'must be a valid date (YYYY-MM-DD)' };
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return { error: 'must be an array' };
+            if (rule.items && value.some(item => typeof item !== rule.items)) return { error: `must be an array of ${rule.items}s` };
+            break;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `must be one of: ${rule.enum.join(', ')}` };
+    }
+
+    if (rule.validate) {
+        const nested = rule.validate(value, field);
+        if (nested.length) return { nested };
+    }
+
+    return { value: rule.transform ? rule.transform(value) : value };
+}
+
+function validate(schema, input, { partial = false, rejectUnknown = false } = {}) {
+    const errors = [];
+    const value = {};
+    const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+    Object.keys(body).forEach(field => {
+        if (!schema[field] && rejectUnknown) {
+            errors.push({ field, message: 'is not a recognised field' });
+        }
+    });
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const raw = body[field];
+        const missing = raw === undefined || raw === null || raw === '';
+
+        if (missing) {
+            if (rule.required && !partial) errors.push({ field, message: 'is required' });
+            return;
+        }
+
+        const result = validateField(field, rule, raw);
+        if (result.nested) {
+            errors.push(...result.nested);
+        } else if (result.error) {
+            errors.push({ field, message: result.error });
+        } else {
+            value[field] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+function pickSchema(schema, fields) {
+    return Object.fromEntries(fields.map(field => [field, schema[field]]));
+}
+
+function sendValidationError(res, errors) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+}
+
+// Replaces req.body with the validated, stripped payload
+function validateBody(schemaName, options) {
+    return (req, res, next) => {
+        const { value, errors } = validate(SCHEMAS[schemaName], req.body, options);
+        if (errors.length) {
+            log('warn', `Validation failed for ${schemaName}: ${req.method} ${req.path}`, { errors });
+            return sendValidationError(res, errors);
+        }
+        req.body = value;
+        next();
+    };
+}
+
+// Bulk import: spreadsheet columns are mapped onto the create schemas and every row is validated
+// before anything is written. Activity rows may name their company and carry one column per
+// emission source holding the quantity in that source's unit.
+const IMPORT_KINDS = {
+    companies: {
+        schema: 'company',
+        fields: Object.keys(SCHEMAS.company)
+    },
+    activities: {
+        schema: 'activity',
+        fields: [
+            ...Object.keys(SCHEMAS.activity).filter(field => field !== 'quantities'),
+            'company_name',
+            ...Object.keys(EMISSION_SOURCES)
+        ]
+    }
+};
+const IMPORT_PREVIEW_ROWS = 20;
+
+const normalizeHeader = header => String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// mapping is { field: "Column header" }, null to skip a field; unmapped fields fall back to a
+// column named like the field
+function resolveImportMapping(fields, headers, mapping = {}) {
+    const errors = [];
+    const columns = {};
+    const normalized = headers.map(normalizeHeader);
+
+    Object.keys(mapping).forEach(field => {
+        if (!fields.includes(field)) {
+            errors.push({ field: `mapping.${field}`, message: `is not an importable field; use one of: ${fields.join(', ')}` });
+        }
+    });
+
+    fields.forEach(field => {
+        if (mapping[field] === null) return;
+        const header = mapping[field] !== undefined ? mapping[field] : field;
+        const index = normalized.indexOf(normalizeHeader(header));
+        if (index !== -1) {
+            columns[field] = index;
+        } else if (mapping[field] !== undefined) {
+            errors.push({ field: `mapping.${field}`, message: `column "${header}" is not in the file` });
+        }
+    });
+
+    const used = new Set(Object.values(columns));
+    return {
+        columns,
+        unmapped_columns: headers.filter((header, index) => header && !used.has(index)),
+        errors
+    };
+}
+
+// Spreadsheets store text-looking cells as numbers; string and date fields get them back as text
+function readImportRow(cells, columns, schema) {
+    const input = {};
+    Object.entries(columns).forEach(([field, index]) => {
+        let value = cells[index];
+        if (value === undefined || value === null || String(value).trim() === '') return;
+        if (typeof value === 'number' && schema[field] && schema[field].type !== 'number') {
+            value = String(value);
+        }
+        input[field] = typeof value === 'string' ? value.trim() : value;
+    });
+    return input;
+}
+
+function prepareCompanyImportRow(input, context) {
+    const { value, errors } = validate(SCHEMAS.company, input);
+    const key = (value.name || '').toLowerCase();
+    if (key && context.companyNames.has(key)) {
+        errors.push({ field: 'name', message: 'a company with this name already exists' });
+    }
+    if (key) context.companyNames.add(key);
+    return { value, errors };
+}
+
+function prepareActivityImportRow(input, context) {
+    const errors = [];
+    const quantities = [];
+    Object.keys(EMISSION_SOURCES).forEach(type => {
+        if (input[type] === undefined) return;
+        const amount = Number(input[type]);
+        if (!Number.isFinite(amount) || amount < 0) {
+            errors.push({ field: type, message: 'must be a non-negative number' });
+        } else {
+            quantities.push({ type, amount });
+        }
+        delete input[type];
+    });
+
+    // The row's company wins over the company_id given for the whole file
+    if (input.company_name && !input.company_id) {
+        const company = context.companiesByName.get(input.company_name.toLowerCase());
+        if (company) input.company_id = company.id;
+        else errors.push({ field: 'company_name', message: 'does not match an existing company' });
+    }
+    delete input.company_name;
+    input.company_id = input.company_id || context.defaultCompanyId;
+    if (quantities.length) input.quantities = quantities;
+
+    const result = validate(SCHEMAS.activity, input);
+    errors.push(...result.errors);
+    if (result.value.company_id) {
+        if (!context.companyIds.has(result.value.company_id)) {
+            errors.push({ field: 'company_id', message: 'does not match an existing company' });
+        } else if (!canAccessCompany(context.user, result.value.company_id)) {
+            errors.push({ field: 'company_id', message: 'you do not have access to this company' });
+        }
+    }
+    return { value: result.value, errors };
+}
+
+function buildImportPlan(kind, rows, columns, context) {
+    const prepare = kind === 'companies' ? prepareCompanyImportRow : prepareActivityImportRow;
+    const schema = SCHEMAS[IMPORT_KINDS[kind].schema];
+    return rows.map(row => ({ line: row.line, ...prepare(readImportRow(row.cells, columns, schema), context) }));
+}
+
+// Shared by both import routes: parse, map, validate every row, then preview, reject or commit
+async function runImport(req, res, kind) {
+    const { value: query, errors: queryErrors } = validate(SCHEMAS.importQuery, req.query);
+    if (queryErrors.length) {
+        return sendValidationError(res, queryErrors);
+    }
+    const dryRun = query.dry_run === 'true';
+
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return sendValidationError(res, [{ field: 'file', message: 'upload a CSV or XLSX file as the request body' }]);
+    }
+
+    let mapping = {};
+    if (query.mapping) {
+        try {
+            mapping = JSON.parse(query.mapping);
+        } catch (error) {
+            mapping = null;
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.values(mapping).some(h => h !== null && typeof h !== 'string')) {
+            return sendValidationError(res, [{ field: 'mapping', message: 'must be a JSON object of field names to column headers (or null)' }]);
+        }
+    }
+
+    let sheet;
+    try {
+        sheet = await parseSpreadsheet(req.body, { format: query.format, contentType: req.get('Content-Type') || '', sheet: query.sheet });
+    } catch (error) {
+        log('warn', `Import file could not be read: ${error.message}`, { kind });
+        return res.status(400).json({ error: `Could not read file: ${error.message}` });
+    }
+
+    if (sheet.rows.length > IMPORT_MAX_ROWS) {
+        return res.status(413).json({ error: `Imports are limited to ${IMPORT_MAX_ROWS} rows; split the file` });
+    }
+
+    const { fields, schema: schemaName } = IMPORT_KINDS[kind];
+    const { columns, unmapped_columns, errors: mappingErrors } = resolveImportMapping(fields, sheet.headers, mapping);
+    Object.entries(SCHEMAS[schemaName]).forEach(([field, rule]) => {
+        // Activities can take their company from company_name or the company_id query parameter
+        if (rule.required && columns[field] === undefined && !(kind === 'activities' && field === 'company_id')) {
+            mappingErrors.push({ field: `mapping.${field}`, message: 'no column found for this required field' });
+        }
+    });
+    if (mappingErrors.length) {
+        // The headers let the client offer a column mapping
+        log('warn', `Import mapping failed for ${kind}`, { errors: mappingErrors });
+        return res.status(400).json({ error: 'Validation failed', details: mappingErrors, headers: sheet.headers, fields });
+    }
+
+    const companies = await readCompanies();
+    const accessible = filterByCompanyScope(req.user, companies, 'id');
+    const plan = buildImportPlan(kind, sheet.rows, columns, {
+        user: req.user,
+        defaultCompanyId: query.company_id,
+        companyIds: new Set(companies.map(c => c.id)),
+        companyNames: new Set(companies.map(c => c.name.toLowerCase())),
+        companiesByName: new Map(accessible.map(c => [c.name.toLowerCase(), c]))
+    });
+    const invalid = plan.filter(row => row.errors.length);
+
+    const summary = {
+        kind,
+        format: sheet.format,
+        dry_run: dryRun,
+        total_rows: plan.length,
+        valid_rows: plan.length - invalid.length,
+        invalid_rows: invalid.length,
+        fields,
+        headers: sheet.headers,
+        mapping: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, sheet.headers[index]])),
+        unmapped_columns,
+        errors: invalid.map(row => ({ row: row.line, errors: row.errors }))
+    };
+
+    log('info', `Import ${dryRun ? 'dry run' : 'request'} for ${kind}`, { rows: plan.length, invalid: invalid.length, userId: req.user.id });
+
+    if (dryRun) {
+        return res.json({
+            ...summary,
+            preview: plan.filter(row => !row.errors.length).slice(0, IMPORT_PREVIEW_ROWS).map(row => ({ row: row.line, record: row.value }))
+        });
+    }
+
+    if (invalid.length || !plan.length) {
+        return res.status(400).json({
+            error: plan.length ? 'Import rejected because some rows are invalid; nothing was imported' : 'File has no data rows',
+            ...summary
+        });
+    }
+
+    const importId = uuidv4();
+    const createdAt = moment().toISOString();
+    const base = { import_id: importId, created_by: req.user.id, created_at: createdAt };
+    let records;
+
+    if (kind === 'companies') {
+        records = plan.map(row => ({ id: uuidv4(), ...row.value, record_type: 'company', ...base, esg_score: 0 }));
+        await updateCollection(COMPANIES, existing => [...existing, ...records]);
+    } else {
+        records = plan.map(row => ({ id: uuidv4(), ...row.value, status: row.value.status || 'draft', record_type: 'activity', ...base }));
+        // One chained append: every row is on the ledger in file order, or none is
+        await appendActivityRecords(records);
+    }
+
+    log('info', `Imported ${records.length} ${kind}`, { importId, userId: req.user.id });
+    records.forEach(record => audit(req, 'import', kind === 'companies' ? 'company' : 'activity', record.id, {
+        company_id: kind === 'companies' ? record.id : record.company_id,
+        import_id: importId
+    }));
+    const event = kind === 'companies' ? 'company.created' : 'activity.created';
+    records.forEach(record => emitWebhookEvent(event, record, kind === 'companies' ? record.id : record.company_id));
+    res.status(201).json({
+        ...summary,
+        import_id: importId,
+        imported: records.length,
+        records: records.map((record, i) => ({ row: plan[i].line, id: record.id, ...(record.hash ? { hash: record.hash } : {}) }))
+    });
+}
+
+// API Routes
+
+// Register a new user; the first account becomes the admin, later self-registrations wait for an admin to assign a role
+app.post('/api/auth/register', validateBody('registration'), async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+        log('info', 'Registering new user', { email });
+        
+        const newUser = {
+            id: uuidv4(),
+            email,
+            name: name || email,
+            company_ids: [],
+            password_hash: await hashPassword(password),
+            created_at: moment().toISOString()
+        };
+        
+        // The duplicate check and the first-user-is-admin rule run inside the update
+        let duplicate = false;
+        await updateCollection(USERS, users => {
+            duplicate = users.some(u => u.email === email);
+            if (duplicate) return users;
+            newUser.role = users.length === 0 ? 'admin' : PENDING_ROLE;
+            return [...users, newUser];
+        });
+        
+        if (duplicate) {
+            log('warn', `Registration rejected, email already in use: ${email}`);
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        
+        const session = await createSession(newUser);
+        log('info', 'Successfully registered user', { userId: newUser.id, role: newUser.role });
+        audit(req, 'register', 'user', newUser.id, { email: newUser.email, role: newUser.role }, newUser);
+        
+        res.status(201).json({ user: sanitizeUser(newUser), ...session });
+    } catch (error) {
+        log('error', 'Failed to register user', { error: error.message });
+        res.status(500).json({ error: 'Failed to register user' });
+    }
+});
+
+// Log in with email and password
+app.post('/api/auth/login', validateBody('login'), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        log('info', 'Login attempt', { email });
+        
+        const users = await readCollection(USERS);
+        const user = users.find(u => u.email === email.toLowerCase());
+        
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            log('warn', `Failed login for: ${email}`);
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        const session = await createSession(user);
+        log('info', 'User logged in', { userId: user.id, role: user.role });
+        audit(req, 'login', 'session', user.id, null, user);
+        
+        res.json({ user: sanitizeUser(user), ...session });
+    } catch (error) {
+        log('error', 'Failed to log in', { error: error.message });
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Log out the current session
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+    try {
+        await updateCollection(SESSIONS, sessions => sessions.filter(s => s.token_hash !== req.sessionTokenHash));
+        log('info', 'User logged out', { userId: req.user.id });
+        audit(req, 'logout', 'session', req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to log out', { error: error.message });
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Get the current user
+app.get('/api/auth/me', authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+// List users
+app.get('/api/users', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        log('info', 'Fetching all users');
+        const users = await readCollection(USERS);
+        res.json(users.map(sanitizeUser));
+    } catch (error) {
+        log('error', 'Failed to fetch users', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Create a user with any role
+app.post('/api/users', authenticate, authorize('admin'), validateBody('user'), async (req, res) => {
+    try {
+        const { email, password, name, role, company_ids = [] } = req.body;
+        log('info', 'Admin creating user', { email, role });
+        
+        const newUser = {
+            id: uuidv4(),
+            email,
+            name: name || email,
+            role,
+            company_ids,
+            password_hash: await hashPassword(password),
+            created_at: moment().toISOString()
+        };
+        
+        let duplicate = false;
+        await updateCollection(USERS, users => {
+            duplicate = users.some(u => u.email === email);
+            return duplicate ? users : [...users, newUser];
+        });
+        
+        if (duplicate) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        
+        log('info', 'Successfully created user', { userId: newUser.id, role });
+        audit(req, 'create', 'user', newUser.id, { email: newUser.email, role, company_ids: newUser.company_ids });
+        res.status(201).json(sanitizeUser(newUser));
+    } catch (error) {
+        log('error', 'Failed to create user', { error: error.message });
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Change a user's role or company scope
+app.patch('/api/users/:id', authenticate, authorize('admin'), validateBody('userUpdate', { partial: true }), async (req, res) => {
+    try {
+        const userId = req.params.id;
+        const { role, company_ids, name } = req.body;
+        log('info', `Updating user: ${userId}`, { role, company_ids });
+        
+        let user;
+        await updateCollection(USERS, users => {
+            user = users.find(u => u.id === userId);
+            if (!user) return users;
+            if (role !== undefined) user.role = role;
+            if (company_ids !== undefined) user.company_ids = company_ids;
+            if (name !== undefined) user.name = name;
+            user.updated_at = moment().toISOString();
+            return users;
+        });
+        
+        if (!user) {
+            log('warn', `User not found: ${userId}`);
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        log('info', 'Successfully updated user', { userId, role: user.role });
+        audit(req, 'update', 'user', userId, { changes: req.body });
+        res.json(sanitizeUser(user));
+    } catch (error) {
+        log('error', `Failed to update user: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Get all companies
+app.get('/api/companies', authenticate, authorize(...ALL_ROLES), async (req, res) => {
+    try {
+        log('info', 'Fetching all companies');
+        const companies = filterByCompanyScope(req.user, await readCompanies(), 'id');
+        const activities = await readActivities({ scoredOnly: true });
+        
+        companies.forEach(company => {
+            const companyActivities = activities.filter(a => a.company_id === company.id);
+            company.esg_score = calculateESGScore(companyActivities, { industry: company.industry });
+            company.total_activities = companyActivities.length;
+        });
+        
+        log('info', `Successfully fetched ${companies.length} companies`);
+        res.json(companies);
+    } catch (error) {
+        log('error', 'Failed to fetch companies', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch companies' });
+    }
+});
+
+// Create new company
+app.post('/api/companies', authenticate, authorize('admin'), validateBody('company'), async (req, res) => {
+    try {
+        log('info', 'Creating new company', { companyData: req.body });
+        const newCompany = {
+            id: uuidv4(),
+            ...req.body,
+            record_type: 'company',
+            created_by: req.user.id,
+            created_at: moment().toISOString(),
+            esg_score: 0
+        };
+        
+        await updateCollection(COMPANIES, companies => [...companies, newCompany]);
+        
+        log('info', 'Successfully created new company', { 
+            companyId: newCompany.id, 
+            companyName: newCompany.name 
+        });
+        audit(req, 'create', 'company', newCompany.id, { company_id: newCompany.id, name: newCompany.name });
+        emitWebhookEvent('company.created', newCompany, newCompany.id);
+        
+        res.status(201).json(newCompany);
+    } catch (error) {
+        log('error', 'Failed to create company', { error: error.message, requestBody: req.body });
+        res.status(500).json({ error: 'Failed to create company' });
+    }
+});
+
+// Correct a company profile by appending an amendment
+app.post('/api/companies/:id/corrections', authenticate, authorize('admin'), validateBody('amendment'), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        const { reason } = req.body;
+        log('info', `Correcting company: ${companyId}`, { changes: req.body.changes, reason });
+        
+        const { value: requested, errors } = validate(pickSchema(SCHEMAS.company, COMPANY_CORRECTABLE_FIELDS), req.body.changes, { partial: true, rejectUnknown: true });
+        if (errors.length) {
+            log('warn', `Validation failed for company correction: ${companyId}`, { errors });
+            return sendValidationError(res, errors.map(e => ({ ...e, field: `changes.${e.field}` })));
+        }
+        
+        const company = (await readCompanies()).find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for correction: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const { changes, error } = buildChanges(company, requested, COMPANY_CORRECTABLE_FIELDS);
+        if (error) {
+            log('warn', `Invalid correction for company: ${companyId}`, { error });
+            return res.status(400).json({ error });
+        }
+        
+        const amendment = buildAmendment(company, 'correction', { changes, reason, user: req.user });
+        await updateCollection(COMPANIES, records => [...records, amendment]);
+        
+        log('info', 'Successfully corrected company', { companyId, amendmentId: amendment.id, fields: Object.keys(changes) });
+        audit(req, 'correct', 'company', companyId, { company_id: companyId, amendment_id: amendment.id, changes, reason });
+        
+        const updated = (await readCompanies()).find(c => c.id === companyId);
+        res.status(201).json({ amendment, company: updated });
+    } catch (error) {
+        log('error', `Failed to correct company: ${req.params.id}`, { error: error.message, requestBody: req.body });
+        res.status(500).json({ error: 'Failed to correct company' });
+    }
+});
+
+// Retract a company by appending a retraction
+app.post('/api/companies/:id/retractions', authenticate, authorize('admin'), validateBody('amendment'), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        const { reason } = req.body;
+        log('info', `Retracting company: ${companyId}`, { reason });
+        
+        const company = (await readCompanies()).find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for retraction: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const amendment = buildAmendment(company, 'retraction', { reason, user: req.user });
+        await updateCollection(COMPANIES, records => [...records, amendment]);
+        
+        log('info', 'Successfully retracted company', { companyId, amendmentId: amendment.id });
+        audit(req, 'retract', 'company', companyId, { company_id: companyId, amendment_id: amendment.id, reason });
+        res.status(201).json({ amendment });
+    } catch (error) {
+        log('error', `Failed to retract company: ${req.params.id}`, { error: error.message, requestBody: req.body });
+        res.status(500).json({ error: 'Failed to retract company' });
+    }
+});
+
+// Get the per-category score breakdown and the activities behind it
+app.get('/api/companies/:id/score-breakdown', authenticate, authorize(...ALL_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        const { as_of } = req.query;
+        log('info', `Fetching score breakdown for company: ${companyId}`, { as_of });
+        
+        if (as_of && !moment.utc(as_of, 'YYYY-MM-DD', true).isValid()) {
+            return sendValidationError(res, [{ field: 'as_of', message: 'must be a date in YYYY-MM-DD format' }]);
+        }
+        
+        const company = (await readCompanies()).find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for score breakdown: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // Activities dated after as_of are left out so the breakdown reflects that point in time
+        const asOf = as_of ? moment.utc(as_of, 'YYYY-MM-DD').endOf('day') : moment.utc();
+        const companyActivities = (await readActivities())
+            .filter(a => a.company_id === companyId && !getActivityDate(a).isAfter(asOf));
+        
+        const breakdown = calculateScoreBreakdown(companyActivities, { industry: company.industry, asOf });
+        
+        log('info', `Successfully calculated score breakdown for: ${company.name}`, { score: breakdown.score });
+        res.json({ company_id: companyId, company_name: company.name, ...breakdown });
+    } catch (error) {
+        log('error', `Failed to fetch score breakdown: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch score breakdown' });
+    }
+});
+
+// Get the stored score history: month-end points, report snapshots and the live score
+app.get('/api/companies/:id/score-history', authenticate, authorize(...ALL_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        const { value: query, errors } = validate(SCHEMAS.scoreHistoryQuery, req.query);
+        if (!errors.length && query.from && query.to && query.to < query.from) {
+            errors.push({ field: 'to', message: 'must not be before from' });
+        }
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        const granularity = query.granularity || 'monthly';
+        log('info', `Fetching score history for company: ${companyId}`, { granularity, from: query.from, to: query.to });
+        
+        const company = (await readCompanies()).find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for score history: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const snapshots = (await readCollection(SCORE_SNAPSHOTS)).filter(s => s.company_id === companyId);
+        const companyActivities = (await readActivities()).filter(a => a.company_id === companyId);
+        const current = buildScoreSnapshot(company, companyActivities, moment.utc());
+        const inRange = s => (!query.from || s.as_of >= query.from) && (!query.to || s.as_of <= query.to);
+        
+        res.json({
+            company_id: companyId,
+            company_name: company.name,
+            granularity,
+            points: buildScoreHistory(snapshots, { granularity, from: query.from, to: query.to }),
+            reports: snapshots
+                .filter(s => s.trigger === 'report' && inRange(s))
+                .sort((a, b) => a.as_of.localeCompare(b.as_of) || a.created_at.localeCompare(b.created_at))
+                .map(s => ({
+                    report_id: s.report_id,
+                    report_period: s.report_period,
+                    as_of: s.as_of,
+                    score: s.score,
+                    categories: s.categories,
+                    total_activities: s.total_activities,
+                    generated_at: s.created_at
+                })),
+            current: {
+                as_of: current.as_of,
+                score: current.score,
+                categories: current.categories,
+                total_activities: current.total_activities
+            }
+        });
+    } catch (error) {
+        log('error', `Failed to fetch score history: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch score history' });
+    }
+});
+
+// Check a company against a regulator's disclosure checklist and list the gaps
+app.get('/api/companies/:id/compliance', authenticate, authorize(...ALL_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        const { value: query, errors } = validate(SCHEMAS.complianceQuery, req.query);
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        
+        const company = (await readCompanies()).find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for compliance check: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // Defaults to SECP and the framework chosen on the company profile
+        const regulator = query.regulator || 'SECP';
+        const framework = query.framework || company.esg_framework || null;
+        const asOf = query.as_of ? moment.utc(query.as_of, 'YYYY-MM-DD').endOf('day') : moment.utc();
+        log('info', `Checking ${regulator} compliance for company: ${companyId}`, { framework, as_of: query.as_of });
+        
+        const companyActivities = (await readActivities()).filter(a => a.company_id === companyId);
+        const targets = await readCompanyTargets(companyId);
+        const compliance = buildComplianceReport(company, companyActivities, targets, { regulator, framework, asOf });
+        
+        log('info', `Successfully checked compliance for: ${company.name}`, {
+            regulator,
+            readiness: compliance.readiness.percent,
+            gaps: compliance.gaps.length
+        });
+        res.json(compliance);
+    } catch (error) {
+        log('error', `Failed to check compliance: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to check compliance' });
+    }
+});
+
+// Compare a company with anonymous industry peers
+app.get('/api/companies/:id/benchmark', authenticate, authorize(...ALL_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        log('info', `Benchmarking company: ${companyId}`);
+        
+        // Peers are read across tenants, but only aggregate statistics are returned
+        const companies = await readCompanies();
+        const company = companies.find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for benchmark: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const benchmark = buildBenchmark(company, companies, await readActivities({ scoredOnly: true }), await readEmissionFactors());
+        
+        log('info', `Successfully benchmarked: ${company.name}`, { basis: benchmark.peer_group.basis, peers: benchmark.peer_group.peer_count });
+        res.json({ company_id: companyId, company_name: company.name, generated_at: moment().toISOString(), ...benchmark });
+    } catch (error) {
+        log('error', `Failed to benchmark company: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to benchmark company' });
+    }
+});
+
+// List a company's targets with progress and forecast
+app.get('/api/companies/:id/targets', authenticate, authorize(...ALL_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        log('info', `Fetching targets for company: ${companyId}`);
+        
+        const companyActivities = (await readActivities()).filter(a => a.company_id === companyId);
+        const factorTable = await readEmissionFactors();
+        const targets = (await readCompanyTargets(companyId))
+            .map(target => calculateTargetProgress(target, companyActivities, factorTable));
+        
+        res.json(targets);
+    } catch (error) {
+        log('error', `Failed to fetch targets for company: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch targets' });
+    }
+});
+
+// Create a target
+app.post('/api/companies/:id/targets', authenticate, authorize(...COMPANY_WRITE_ROLES), requireCompanyAccess(req => req.params.id), validateBody('target'), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        log('info', `Creating target for company: ${companyId}`, { title: req.body.title, source: req.body.source });
+        
+        if (!(await readCompanies()).some(c => c.id === companyId)) {
+            log('warn', `Company not found for target: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const companyActivities = (await readActivities()).filter(a => a.company_id === companyId);
+        const errors = checkTarget(req.body, companyActivities);
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        
+        const target = {
+            id: uuidv4(),
+            company_id: companyId,
+            ...req.body,
+            activities: req.body.activities || [],
+            created_by: req.user.id,
+            created_at: moment().toISOString()
+        };
+        
+        await updateCollection(TARGETS, targets => [...targets, target]);
+        
+        log('info', 'Successfully created target', { targetId: target.id, companyId });
+        audit(req, 'create', 'target', target.id, { company_id: companyId, title: target.title });
+        res.status(201).json(calculateTargetProgress(target, companyActivities, await readEmissionFactors()));
+    } catch (error) {
+        log('error', `Failed to create target for company: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to create target' });
+    }
+});
+
+// Get a target with progress and forecast
+app.get('/api/targets/:id', authenticate, authorize(...ALL_ROLES), async (req, res) => {
+    try {
+        const target = (await readCollection(TARGETS)).find(t => t.id === req.params.id);
+        
+        if (!target || !canAccessCompany(req.user, target.company_id)) {
+            log('warn', `Target not found: ${req.params.id}`);
+            return res.status(404).json({ error: 'Target not found' });
+        }
+        
+        const companyActivities = (await readActivities()).filter(a => a.company_id === target.company_id);
+        res.json(calculateTargetProgress(target, companyActivities, await readEmissionFactors()));
+    } catch (error) {
+        log('error', `Failed to fetch target: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch target' });
+    }
+});
+
+// Update a target, including the activities linked to it
+app.patch('/api/targets/:id', authenticate, authorize(...COMPANY_WRITE_ROLES), validateBody('target', { partial: true }), async (req, res) => {
+    try {
+        const targetId = req.params.id;
+        log('info', `Updating target: ${targetId}`, { fields: Object.keys(req.body) });
+        
+        const existing = (await readCollection(TARGETS)).find(t => t.id === targetId);
+        if (!existing || !canAccessCompany(req.user, existing.company_id)) {
+            log('warn', `Target not found: ${targetId}`);
+            return res.status(404).json({ error: 'Target not found' });
+        }
+        
+        const companyActivities = (await readActivities()).filter(a => a.company_id === existing.company_id);
+        const errors = checkTarget({ ...existing, ...req.body }, companyActivities);
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        
+        let target;
+        await updateCollection(TARGETS, targets => {
+            target = targets.find(t => t.id === targetId);
+            if (!target) return targets;
+            Object.assign(target, req.body, { updated_by: req.user.id, updated_at: moment().toISOString() });
+            return targets;
+        });
+        
+        if (!target) {
+            return res.status(404).json({ error: 'Target not found' });
+        }
+        
+        log('info', 'Successfully updated target', { targetId });
+        audit(req, 'update', 'target', targetId, { company_id: target.company_id, changes: req.body });
+        res.json(calculateTargetProgress(target, companyActivities, await readEmissionFactors()));
+    } catch (error) {
+        log('error', `Failed to update target: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to update target' });
+    }
+});
+
+// Delete a target
+app.delete('/api/targets/:id', authenticate, authorize(...COMPANY_WRITE_ROLES), async (req, res) => {
+    try {
+        const targetId = req.params.id;
+        log('info', `Deleting target: ${targetId}`);
+        
+        let removed;
+        await updateCollection(TARGETS, targets => {
+            removed = targets.find(t => t.id === targetId && canAccessCompany(req.user, t.company_id));
+            return removed ? targets.filter(t => t.id !== targetId) : targets;
+        });
+        
+        if (!removed) {
+            log('warn', `Target not found: ${targetId}`);
+            return res.status(404).json({ error: 'Target not found' });
+        }
+        
+        log('info', 'Successfully deleted target', { targetId, companyId: removed.company_id });
+        audit(req, 'delete', 'target', targetId, { company_id: removed.company_id, title: removed.title });
+        res.status(204).end();
+    } catch (error) {
+        log('error', `Failed to delete target: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to delete target' });
+    }
+});
+
+// Get company by ID
+app.get('/api/companies/:id', authenticate, authorize(...COMPANY_READ_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
+    try {
+        const companyId = req.params.id;
+        log('info', `Fetching company by ID: ${companyId}`);
+        
+        const companies = await readCompanies();
+        const company = companies.find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // Get company's ESG activities; drafts and rejected claims are not counted
+        const activities = await readActivities({ scoredOnly: true });
+        const companyActivities = activities.filter(a => a.company_id === companyId);
+        
+        // Calculate ESG score
+        company.esg_score = calculateESGScore(companyActivities, { industry: company.industry });
+        company.total_activities = companyActivities.length;
+        
+        log('info', `Successfully fetched company: ${company.name}`, { 
+            esgScore: company.esg_score, 
+            totalActivities: company.total_activities 
+        });
+        
+        res.json(company);
+    } catch (error) {
+        log('error', `Failed to fetch company: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch company' });
+    }
+});
+
+// Get ESG activities
+app.get('/api/esg-activities', authenticate, authorize(...COMPANY_READ_ROLES), async (req, res) => {
+    try {
+        const { value: query, errors } = validate(SCHEMAS.activityQuery, req.query);
+        if (query.from && query.to && query.from > query.to) {
+            errors.push({ field: 'to', message: 'must not be before from' });
+        }
+        if (query.min_impact !== undefined && query.max_impact !== undefined && query.min_impact > query.max_impact) {
+            errors.push({ field: 'max_impact', message: 'must not be less than min_impact' });
+        }
+        if (errors.length) {
+            log('warn', 'Invalid ESG activity query', { errors });
+            return sendValidationError(res, errors);
+        }
+        
+        const includeHistory = query.history === 'true';
+        const includeRetracted = query.include_retracted === 'true' || includeHistory;
+        const { sort = 'created_at', order = 'desc', page = 1, page_size = 20 } = query;
+        log('info', 'Fetching ESG activities', { query, includeHistory, includeRetracted });
+        
+        const activities = await readActivities({ includeRetracted, includeHistory });
+        const filteredActivities = filterActivities(filterByCompanyScope(req.user, activities), query);
+        const sortedActivities = sortActivities(filteredActivities, sort, order);
+        
+        const total = sortedActivities.length;
+        const offset = (page - 1) * page_size;
+        const data = sortedActivities.slice(offset, offset + page_size);
+        
+        log('info', `Successfully fetched ${data.length} of ${total} ESG activities`, {
+            totalActivities: activities.length,
+            filteredActivities: total,
+            page,
+            page_size
+        });
+        
+        res.json({
+            data,
+            pagination: {
+                page,
+                page_size,
+                total,
+                total_pages: Math.ceil(total / page_size),
+                has_more: offset + data.length < total
+            },
+            sort: { field: sort, order }
+        });
+    } catch (error) {
+        log('error', 'Failed to fetch ESG activities', { error: error.message, query: req.query });
+        res.status(500).json({ error: 'Failed to fetch ESG activities' });
+    }
+});
+
+// Create new ESG activity
+app.post('/api/esg-activities', authenticate, authorize(...COMPANY_WRITE_ROLES), validateBody('activity'), requireCompanyAccess(req => req.body.company_id), async (req, res) => {
+    try {
+        log('info', 'Creating new ESG activity', { activityData: req.body });
+        
+        const companies = await readCompanies();
+        if (!companies.some(c => c.id === req.body.company_id)) {
+            log('warn', `Activity refers to unknown company: ${req.body.company_id}`);
+            return sendValidationError(res, [{ field: 'company_id', message: 'does not match an existing company' }]);
+        }
+        
+        const activityData = {
+            id: uuidv4(),
+            ...req.body,
+            status: req.body.status || 'draft',
+            record_type: 'activity',
+            created_by: req.user.id,
+            created_at: moment().toISOString()
+        };
+        
+        // Links to the previous record, then hashes so prev_hash is covered
+        await appendActivityRecord(activityData);
+        
+        log('info', 'Successfully created ESG activity', {
+            activityId: activityData.id,
+            title: activityData.title,
+            category: activityData.category,
+            companyId: activityData.company_id,
+            hash: activityData.hash.substring(0, 16) + '...'
+        });
+        audit(req, 'create', 'activity', activityData.id, { company_id: activityData.company_id, title: activityData.title, hash: activityData.hash });
+        emitWebhookEvent('activity.created', activityData, activityData.company_id);
+        
+        res.status(201).json(activityData);
+    } catch (error) {
+        log('error', 'Failed to create ESG activity', { error: error.message, requestBody: req.body });
+        res.status(500).json({ error: 'Failed to create ESG activity' });
+    }
+});
+
+// Bulk import companies from CSV or XLSX (dry_run=true to preview)
+app.post('/api/import/companies', authenticate, authorize('admin'), express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }), async (req, res) => {
+    try {
+        await runImport(req, res, 'companies');
+    } catch (error) {
+        log('error', 'Failed to import companies', { error: error.message });
+        res.status(500).json({ error: 'Failed to import companies' });
+    }
+});
+
+// Bulk import activities from CSV or XLSX onto the ledger (dry_run=true to preview)
+app.post('/api/import/activities', authenticate, authorize(...COMPANY_WRITE_ROLES), express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }), async (req, res) => {
+    try {
+        await runImport(req, res, 'activities');
+    } catch (error) {
+        log('error', 'Failed to import activities', { error: error.message });
+        res.status(500).json({ error: 'Failed to import activities' });
+    }
+});
+
+// Correct an activity by appending an amendment to the ledger
+app.post('/api/esg-activities/:id/corrections', authenticate, authorize(...COMPANY_WRITE_ROLES), validateBody('amendment'), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        const { reason } = req.body;
+        log('info', `Correcting ESG activity: ${activityId}`, { changes: req.body.changes, reason });
+        
+        const { value: requested, errors } = validate(pickSchema(SCHEMAS.activity, ACTIVITY_CORRECTABLE_FIELDS), req.body.changes, { partial: true, rejectUnknown: true });
+        if (errors.length) {
+            log('warn', `Validation failed for activity correction: ${activityId}`, { errors });
+            return sendValidationError(res, errors.map(e => ({ ...e, field: `changes.${e.field}` })));
+        }
+        
+        const activities = await readActivities();
+        const activity = activities.find(a => a.id === activityId);
+        
+        if (!activity) {
+            log('warn', `Activity not found for correction: ${activityId}`);
+            return res.status(404).json({ error: 'Activity not found' });
+        }
+        
+        if (!canAccessCompany(req.user, activity.company_id)) {
+            log('warn', `Activity correction denied: ${req.user.email} on ${activityId}`);
+            return res.status(403).json({ error: 'You do not have access to this company' });
+        }
+        
+        const { changes, error } = buildChanges(activity, requested, ACTIVITY_CORRECTABLE_FIELDS);
+        if (error) {
+            log('warn', `Invalid correction for activity: ${activityId}`, { error });
+            return res.status(400).json({ error });
+        }
+        
+        const amendment = await appendActivityRecord(
+            buildAmendment(activity, 'correction', { changes, reason, user: req.user })
+        );
+        
+        log('info', 'Successfully corrected ESG activity', {
+            activityId,
+            amendmentId: amendment.id,
+            fields: Object.keys(changes)
+        });
+        audit(req, 'correct', 'activity', activityId, { company_id: activity.company_id, amendment_id: amendment.id, changes, reason });
+        
+        const updated = (await readActivities()).find(a => a.id === activityId);
+        res.status(201).json({ amendment, activity: updated });
+    } catch (error) {
+        log('error', `Failed to correct ESG activity: ${req.params.id}`, { error: error.message, requestBody: req.body });
+        res.status(500).json({ error: 'Failed to correct ESG activity' });
+    }
+});
+
+// Retract an activity by appending a retraction to the ledger
+app.post('/api/esg-activities/:id/retractions', authenticate, authorize(...COMPANY_WRITE_ROLES), validateBody('amendment'), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        const { reason } = req.body;
+        log('info', `Retracting ESG activity: ${activityId}`, { reason });
+        
+        const activities = await readActivities();
+        const activity = activities.find(a => a.id === activityId);
+        
+        if (!activity) {
+            log('warn', `Activity not found for retraction: ${activityId}`);
+            return res.status(404).json({ error: 'Activity not found' });
+        }
+        
+        if (!canAccessCompany(req.user, activity.company_id)) {
+            log('warn', `Activity retraction denied: ${req.user.email} on ${activityId}`);
+            return res.status(403).json({ error: 'You do not have access to this company' });
+        }
+        
+        const amendment = await appendActivityRecord(
+            buildAmendment(activity, 'retraction', { reason, user: req.user })
+        );
+        
+        log('info', 'Successfully retracted ESG activity', { activityId, amendmentId: amendment.id });
+        audit(req, 'retract', 'activity', activityId, { company_id: activity.company_id, amendment_id: amendment.id, reason });
+        res.status(201).json({ amendment });
+    } catch (error) {
+        log('error', `Failed to retract ESG activity: ${req.params.id}`, { error: error.message, requestBody: req.body });
+        res.status(500).json({ error: 'Failed to retract ESG activity' });
+    }
+});
+
+// Find an activity the current user may access, or send the error response
+async function findAccessibleActivity(req, res, activityId) {
+    const activity = (await readActivities()).find(a => a.id === activityId);
+    
+    if (!activity) {
+        log('warn', `Activity not found: ${activityId}`);
+        res.status(404).json({ error: 'Activity not found' });
+        return null;
+    }
+    
+    if (!canAccessCompany(req.user, activity.company_id)) {
+        log('warn', `Activity access denied: ${req.user.email} on ${activityId}`);
+        res.status(403).json({ error: 'You do not have access to this company' });
+        return null;
+    }
+    
+    return activity;
+}
+
+// Attach an evidence file; the raw request body is the file and Content-Type its type
+app.post('/api/esg-activities/:id/evidence', authenticate, authorize(...COMPANY_WRITE_ROLES), express.raw({ type: () => true, limit: EVIDENCE_MAX_BYTES }), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        const { filename, description } = req.query;
+        log('info', `Uploading evidence for activity: ${activityId}`, { filename, contentType, size: req.body.length });
+        
+        const activity = await findAccessibleActivity(req, res, activityId);
+        if (!activity) return;
+        
+        const fileError = Buffer.isBuffer(req.body) ? checkEvidenceFile(req.body, contentType) : 'File is empty';
+        if (fileError) {
+            log('warn', `Evidence rejected for activity: ${activityId}`, { error: fileError });
+            return res.status(415).json({ error: fileError });
+        }
+        
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+            return sendValidationError(res, [{ field: 'description', message: 'must be a string of at most 500 characters' }]);
+        }
+        
+        const evidence = {
+            id: uuidv4(),
+            filename: sanitizeFileName(filename, contentType),
+            content_type: contentType,
+            size: req.body.length,
+            sha256: sha256(req.body),
+            description: description || null,
+            uploaded_by: req.user.id,
+            uploaded_at: moment().toISOString()
+        };
+        
+        // Write the file first so the ledger never references a file that was not stored
+        await fs.writeFile(getEvidencePath(evidence.id), req.body, { flag: 'wx' });
+        
+        const amendment = await appendActivityRecord(
+            buildAmendment(activity, 'evidence', { reason: `Evidence attached: ${evidence.filename}`, user: req.user, evidence })
+        );
+        
+        log('info', 'Successfully attached evidence', { activityId, evidenceId: evidence.id, sha256: evidence.sha256 });
+        audit(req, 'attach_evidence', 'activity', activityId, { company_id: activity.company_id, amendment_id: amendment.id, evidence_id: evidence.id, sha256: evidence.sha256 });
+        res.status(201).json({ evidence, amendment_id: amendment.id, ledger_hash: amendment.hash });
+    } catch (error) {
+        log('error', `Failed to attach evidence: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to attach evidence' });
+    }
+});
+
+// List an activity's evidence
+app.get('/api/esg-activities/:id/evidence', authenticate, authorize(...COMPANY_READ_ROLES), async (req, res) => {
+    try {
+        const activity = await findAccessibleActivity(req, res, req.params.id);
+        if (!activity) return;
+        
+        res.json(activity.evidence || []);
+    } catch (error) {
+        log('error', `Failed to list evidence: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to list evidence' });
+    }
+});
+
+// Download one evidence file
+app.get('/api/esg-activities/:id/evidence/:evidenceId', authenticate, authorize(...COMPANY_READ_ROLES), async (req, res) => {
+    try {
+        const { id: activityId, evidenceId } = req.params;
+        log('info', `Downloading evidence ${evidenceId} for activity: ${activityId}`);
+        
+        const activity = await findAccessibleActivity(req, res, activityId);
+        if (!activity) return;
+        
+        const evidence = (activity.evidence || []).find(e => e.id === evidenceId);
+        if (!evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+        
+        const file = await fs.readFile(getEvidencePath(evidence.id)).catch(error => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        });
+        if (!file) {
+            log('error', `Evidence file is missing: ${evidence.id}`, { activityId });
+            return res.status(404).json({ error: 'Evidence file is missing from storage' });
+        }
+        
+        res.set('Content-Type', evidence.content_type);
+        res.set('Content-Disposition', `attachment; filename="${evidence.filename}"`);
+        res.set('X-Evidence-SHA256', evidence.sha256);
+        res.send(file);
+    } catch (error) {
+        log('error', `Failed to download evidence: ${req.params.evidenceId}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to download evidence' });
+    }
+});
+
+// Re-hash stored evidence files and compare with the hashes recorded on the ledger
+app.get('/api/esg-activities/:id/evidence-check', authenticate, authorize(...COMPANY_READ_ROLES), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        log('info', `Checking evidence integrity for activity: ${activityId}`);
+        
+        const activity = await findAccessibleActivity(req, res, activityId);
+        if (!activity) return;
+        
+        const results = [];
+        for (const evidence of activity.evidence || []) {
+            results.push(await checkEvidenceIntegrity(EVIDENCE_DIR, evidence));
+        }
+        
+        const valid = results.every(r => r.valid);
+        if (!valid) {
+            log('warn', `Evidence integrity check failed for activity: ${activityId}`, { failed: results.filter(r => !r.valid).map(r => r.evidence_id) });
+        }
+        
+        res.json({ activity_id: activityId, valid, checked: results.length, checked_at: moment().toISOString(), results });
+    } catch (error) {
+        log('error', `Failed to check evidence: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to check evidence' });
+    }
+});
+
+// Register the public half of an auditor's locally generated Ed25519 keypair
+app.post('/api/auth/me/signing-keys', authenticate, authorize(...ATTEST_ROLES), validateBody('signingKey'), async (req, res) => {
+    try {
+        log('info', 'Registering auditor signing key', { userId: req.user.id });
+        
+        const parsed = parseSigningPublicKey(req.body.public_key);
+        if (parsed.error) {
+            return sendValidationError(res, [{ field: 'public_key', message: parsed.error }]);
+        }
+        
+        const existing = await findSigningKey(parsed.key_id);
+        if (existing && existing.user.id !== req.user.id) {
+            log('warn', `Signing key already registered to another user: ${parsed.key_id}`);
+            return res.status(409).json({ error: 'This key is registered to another user' });
+        }
+        if (existing) {
+            const { user, ...key } = existing;
+            return res.json(key);
+        }
+        
+        const key = { ...parsed, registered_at: moment().toISOString() };
+        await updateCollection(USERS, users => {
+            const user = users.find(u => u.id === req.user.id);
+            user.signing_keys = [...(user.signing_keys || []), key];
+            return users;
+        });
+        
+        log('info', 'Successfully registered signing key', { userId: req.user.id, keyId: key.key_id });
+        audit(req, 'register_signing_key', 'user', req.user.id, { key_id: key.key_id });
+        res.status(201).json(key);
+    } catch (error) {
+        log('error', 'Failed to register signing key', { error: error.message });
+        res.status(500).json({ error: 'Failed to register signing key' });
+    }
+});
+
+// Public keys of all auditors, so anyone can check attestations independently
+app.get('/api/auditor-keys', authenticate, authorize(...ALL_ROLES), async (req, res) => {
+    try {
+        const users = await readCollection(USERS);
+        const keys = users.flatMap(user => (user.signing_keys || []).map(key => ({
+            ...key,
+            auditor_id: user.id,
+            auditor_name: user.name
+        })));
+        res.json(keys);
+    } catch (error) {
+        log('error', 'Failed to fetch auditor keys', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch auditor keys' });
+    }
+});
+
+// Submit a draft (or rejected) activity for auditor review
+app.post('/api/esg-activities/:id/submit', authenticate, authorize(...COMPANY_WRITE_ROLES), validateBody('submission'), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        log('info', `Submitting ESG activity for review: ${activityId}`);
+        
+        const activity = await findAccessibleActivity(req, res, activityId);
+        if (!activity) return;
+        
+        if (!STATUS_TRANSITIONS[activity.status].includes('submitted')) {
+            return res.status(409).json({ error: `A ${activity.status} activity cannot be submitted` });
+        }
+        
+        const amendment = await appendActivityRecord(buildAmendment(activity, 'status', {
+            reason: req.body.comment || null,
+            user: req.user,
+            status: { from: activity.status, to: 'submitted' }
+        }));
+        
+        log('info', 'Successfully submitted ESG activity', { activityId, amendmentId: amendment.id });
+        audit(req, 'submit', 'activity', activityId, { company_id: activity.company_id, amendment_id: amendment.id });
+        const updated = (await readActivities()).find(a => a.id === activityId);
+        res.status(201).json({ amendment, activity: updated });
+    } catch (error) {
+        log('error', `Failed to submit ESG activity: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to submit ESG activity' });
+    }
+});
+
+// Build the payload an auditor signs for a decision on the activity's current state
+app.get('/api/esg-activities/:id/attestation-payload', authenticate, authorize(...ATTEST_ROLES), async (req, res) => {
+    try {
+        const { value: query, errors } = validate(SCHEMAS.attestationRequest, req.query);
+        if (errors.length) return sendValidationError(res, errors);
+        
+        const activity = await findAccessibleActivity(req, res, req.params.id);
+        if (!activity) return;
+        
+        const attestation = {
+            activity_id: activity.id,
+            state_hash: getActivityStateHash(activity),
+            decision: query.decision,
+            comment: query.comment || '',
+            signed_at: moment().toISOString(),
+            key_id: query.key_id
+        };
+        
+        res.json({ ...attestation, payload: buildAttestationPayload(attestation) });
+    } catch (error) {
+        log('error', `Failed to build attestation payload: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to build attestation payload' });
+    }
+});
+
+// Record an auditor's signed decision on a submitted activity
+app.post('/api/esg-activities/:id/attestations', authenticate, authorize(...ATTEST_ROLES), validateBody('attestation'), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        const { decision, comment = '', signed_at, key_id, signature } = req.body;
+        log('info', `Recording auditor decision for activity: ${activityId}`, { decision, keyId: key_id });
+        
+        const activity = await findAccessibleActivity(req, res, activityId);
+        if (!activity) return;
+        
+        if (!STATUS_TRANSITIONS[activity.status].includes(decision)) {
+            return res.status(409).json({ error: `A ${activity.status} activity cannot be marked ${decision}` });
+        }
+        
+        if (decision === 'rejected' && !comment) {
+            return sendValidationError(res, [{ field: 'comment', message: 'is required when rejecting an activity' }]);
+        }
+        
+        const signedAt = moment(signed_at, moment.ISO_8601, true);
+        if (!signedAt.isValid() || signedAt.isAfter(moment().add(5, 'minutes')) || signedAt.isBefore(moment().subtract(24, 'hours'))) {
+            return sendValidationError(res, [{ field: 'signed_at', message: 'must be an ISO timestamp from the last 24 hours' }]);
+        }
+        
+        const key = await findSigningKey(key_id);
+        if (!key || key.user.id !== req.user.id) {
+            log('warn', `Attestation with unregistered key: ${key_id}`, { userId: req.user.id });
+            return sendValidationError(res, [{ field: 'key_id', message: 'is not a signing key registered to you' }]);
+        }
+        
+        const attestation = {
+            activity_id: activityId,
+            state_hash: getActivityStateHash(activity),
+            decision,
+            comment,
+            signed_at,
+            key_id,
+            signature
+        };
+        
+        if (!verifyAttestationSignature(attestation, key.public_key)) {
+            log('warn', `Invalid attestation signature for activity: ${activityId}`, { keyId: key_id });
+            return sendValidationError(res, [{ field: 'signature', message: 'does not match the activity\'s current state for this key' }]);
+        }
+        
+        const amendment = await appendActivityRecord(buildAmendment(activity, 'status', {
+            reason: comment || null,
+            user: req.user,
+            status: { from: activity.status, to: decision },
+            attestation: { ...attestation, auditor_id: req.user.id, auditor_name: req.user.name }
+        }));
+        
+        log('info', `Activity ${decision} by auditor`, { activityId, amendmentId: amendment.id, auditorId: req.user.id });
+        audit(req, 'attest', 'activity', activityId, { company_id: activity.company_id, amendment_id: amendment.id, decision, key_id });
+        const updated = (await readActivities()).find(a => a.id === activityId);
+        res.status(201).json({ amendment, activity: updated });
+    } catch (error) {
+        log('error', `Failed to record attestation: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to record attestation' });
+    }
+});
+
+// List an activity's attestations with their signatures re-checked
+app.get('/api/esg-activities/:id/attestations', authenticate, authorize(...COMPANY_READ_ROLES), async (req, res) => {
+    try {
+        const activityId = req.params.id;
+        const activity = (await readActivities({ includeHistory: true, includeRetracted: true })).find(a => a.id === activityId);
+        
+        if (!activity) {
+            return res.status(404).json({ error: 'Activity not found' });
+        }
+        
+        if (!canAccessCompany(req.user, activity.company_id)) {
+            return res.status(403).json({ error: 'You do not have access to this company' });
+        }
+        
+        const currentStateHash = getActivityStateHash(activity);
+        const attestations = [];
+        for (const amendment of activity.history.amendments.filter(a => a.attestation)) {
+            const key = await findSigningKey(amendment.attestation.key_id);
+            attestations.push({
+                ...amendment.attestation,
+                amendment_id: amendment.id,
+                ledger_hash: amendment.hash,
+                signature_valid: key ? verifyAttestationSignature(amendment.attestation, key.public_key) : false,
+                matches_current_state: amendment.attestation.state_hash === currentStateHash
+            });
+        }
+        
+        res.json({ activity_id: activityId, status: activity.status, attestations });
+    } catch (error) {
+        log('error', `Failed to fetch attestations: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch attestations' });
+    }
+});
+
+// Verify ledger chain integrity
+app.get('/api/ledger/verify', authenticate, authorize(...VERIFY_ROLES), async (req, res) => {
+    try {
+        const { company_id } = req.query;
+        log('info', 'Verifying ledger chain', { companyId: company_id || 'all' });
+        
+        const activities = await readCollection(ESG_ACTIVITIES);
+        const result = verifyActivityChain(activities, company_id || null);
+        
+        const verification = {
+            company_id: company_id || null,
+            total_records: activities.length,
+            verified_at: moment().toISOString(),
+            ...result
+        };
+        
+        if (result.valid) {
+            log('info', 'Ledger chain verified', { checked: result.checked, legacy: result.legacy });
+        } else {
+            log('warn', 'Ledger chain integrity failure', result.broken_link);
+        }
+        
+        res.json(verification);
+    } catch (error) {
+        log('error', 'Failed to verify ledger chain', { error: error.message, query: req.query });
+        res.status(500).json({ error: 'Failed to verify ledger' });
+    }
+});
+
+// Published report signing keys (no login needed, so recipients can verify reports offline)
+app.get('/.well-known/green-ledger-report-keys.json', async (req, res) => {
+    try {
+        const keys = await readCollection(REPORT_KEYS);
+        res.json({ keys });
+    } catch (error) {
+        log('error', 'Failed to fetch report signing keys', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch report signing keys' });
+    }
+});
+
+// Reports are posted either bare or wrapped as { report }
+function getSubmittedReport(body) {
+    const report = body && body.report ? body.report : body;
+    return report && typeof report === 'object' && !Array.isArray(report) ? report : null;
+}
+
+// Check a report's signature against the published keys. No login needed, so it never looks at
+// stored reports
+app.post('/api/reports/verify', async (req, res) => {
+    try {
+        const report = getSubmittedReport(req.body);
+        log('info', 'Verifying report signature', { reportId: report && report.id, keyId: report && report.signature && report.signature.key_id });
+        
+        if (!report) {
+            return sendValidationError(res, [{ field: 'report', message: 'must be a signed report object' }]);
+        }
+        
+        const result = reportSignature.verifyReport(report, await readCollection(REPORT_KEYS));
+        
+        res.json({
+            ...result,
+            report_id: report.id || null,
+            verified_at: moment().toISOString()
+        });
+    } catch (error) {
+        log('error', 'Failed to verify report', { error: error.message });
+        res.status(500).json({ error: 'Failed to verify report' });
+    }
+});
+
+// Check a report's signature and whether it matches our stored copy of that report
+app.post('/api/reports/:id/verify', authenticate, authorize(...REPORT_READ_ROLES), async (req, res) => {
+    try {
+        const reportId = req.params.id;
+        const report = getSubmittedReport(req.body);
+        log('info', `Comparing report with stored copy: ${reportId}`);
+        
+        if (!report) {
+            return sendValidationError(res, [{ field: 'report', message: 'must be a signed report object' }]);
+        }
+        
+        const stored = (await readCollection(REPORTS)).find(r => r.id === reportId);
+        
+        if (!stored) {
+            log('warn', `Report not found for comparison: ${reportId}`);
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        if (!canAccessCompany(req.user, stored.company_id)) {
+            log('warn', `Report comparison denied: ${req.user.email} on ${reportId}`);
+            return res.status(403).json({ error: 'You do not have access to this report' });
+        }
+        
+        const result = reportSignature.verifyReport(report, await readCollection(REPORT_KEYS));
+        
+        res.json({
+            ...result,
+            report_id: reportId,
+            matches_stored_report: reportSignature.canonicalize(stored) === reportSignature.canonicalize(report),
+            verified_at: moment().toISOString()
+        });
+    } catch (error) {
+        log('error', `Failed to compare report: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to verify report' });
+    }
+});
+
+// Rotate the report signing key
+app.post('/api/report-keys/rotate', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const key = await rotateReportSigningKey();
+        log('info', 'Rotated report signing key', { keyId: key.key_id, userId: req.user.id });
+        audit(req, 'rotate', 'report_key', key.key_id);
+        res.status(201).json(key);
+    } catch (error) {
+        log('error', 'Failed to rotate report signing key', { error: error.message });
+        res.status(500).json({ error: 'Failed to rotate report signing key' });
+    }
+});
+
+// Generate ESG report
+app.post('/api/reports/:companyId', authenticate, authorize(...COMPANY_WRITE_ROLES), requireCompanyAccess(req => req.params.companyId), validateBody('reportRequest'), async (req, res) => {
+    try {
+        const { companyId } = req.params;
+        const { period, from, to } = req.body;
+        
+        log('info', 'Generating ESG report', { companyId, framework: req.body.framework, period, from, to });
+        
+        const reportPeriod = resolveReportPeriod({ period, from, to });
+        if (reportPeriod.error) {
+            log('warn', 'Invalid report period', { companyId, period, from, to });
+            return sendValidationError(res, [{ field: reportPeriod.field, message: reportPeriod.error }]);
+        }
+        
+        const companies = await readCompanies();
+        const company = companies.find(c => c.id === companyId);
+        
+        if (!company) {
+            log('warn', `Company not found for report generation: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // Fall back to the framework chosen on the company profile
+        const framework = resolveReportFramework(req.body.framework, company);
+        
+        // Taken before reading so every amendment the report saw is at or before generated_at
+        const generatedAt = moment().toISOString();
+        const activities = await readActivities({ scoredOnly: true });
+        const allCompanyActivities = activities.filter(a => a.company_id === companyId);
+        const companyActivities = filterActivitiesByPeriod(allCompanyActivities, reportPeriod);
+        const factorTable = await readEmissionFactors();
+        // Targets are judged on the data available at the end of the period
+        const targets = (await readCompanyTargets(companyId))
+            .map(target => calculateTargetProgress(target, allCompanyActivities, factorTable, reportPeriod.end));
+        
+        const report = {
+            id: uuidv4(),
+            company_id: companyId,
+            company_name: company.name,
+            framework,
+            period: reportPeriod.label,
+            period_type: reportPeriod.type,
+            period_start: reportPeriod.start.format('YYYY-MM-DD'),
+            period_end: reportPeriod.end.format('YYYY-MM-DD'),
+            generated_by: req.user.id,
+            generated_at: generatedAt,
+            esg_score: calculateESGScore(companyActivities, { industry: company.industry, asOf: reportPeriod.end }),
+            total_activities: companyActivities.length,
+            activities_by_category: {
+                environmental: companyActivities.filter(a => a.category === 'environmental').length,
+                social: companyActivities.filter(a => a.category === 'social').length,
+                governance: companyActivities.filter(a => a.category === 'governance').length
+            },
+            verification: summarizeVerification(companyActivities),
+            emissions: summarizePeriodEmissions(allCompanyActivities, reportPeriod, factorTable),
+            activity_ids: companyActivities.map(a => a.id),
+            framework_report: buildFrameworkReport(framework, company, companyActivities, { targets }),
+            hash: generateHash({ companyId, framework, period: reportPeriod.label, activities: companyActivities }),
+            merkle: {
+                algorithm: merkle.MERKLE_ALGORITHM,
+                root: merkle.getMerkleRoot(getReportLeafHashes(companyActivities)),
+                leaf_count: companyActivities.length
+            }
+        };
+        report.signature = signReport(report);
+        
+        await updateCollection(REPORTS, reports => [...reports, report]);
+        const scoreSnapshot = buildScoreSnapshot(company, companyActivities, reportPeriod.end, {
+            trigger: 'report',
+            report_id: report.id,
+            report_period: report.period
+        });
+        await updateCollection(SCORE_SNAPSHOTS, snapshots => [...snapshots, scoreSnapshot]);
+        
+        log('info', 'Successfully generated ESG report', {
+            reportId: report.id,
+            companyName: report.company_name,
+            framework: report.framework,
+            esgScore: report.esg_score,
+            totalActivities: report.total_activities,
+            reportHash: report.hash.substring(0, 16) + '...'
+        });
+        audit(req, 'generate', 'report', report.id, { company_id: companyId, framework, period: report.period, hash: report.hash });
+        // Subscribers get a summary; the full report is at /api/reports/:id
+        emitWebhookEvent('report.generated', {
+            id: report.id,
+            company_id: report.company_id,
+            company_name: report.company_name,
+            framework: report.framework,
+            period: report.period,
+            generated_at: report.generated_at,
+            esg_score: report.esg_score,
+            total_activities: report.total_activities,
+            hash: report.hash,
+            merkle_root: report.merkle.root,
+            signature_key_id: report.signature.key_id
+        }, report.company_id);
+        
+        res.json(report);
+    } catch (error) {
+        log('error', `Failed to generate ESG report for company: ${req.params.companyId}`, { 
+            error: error.message, 
+            requestBody: req.body 
+        });
+        res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+// List generated reports
+app.get('/api/reports', authenticate, authorize(...REPORT_READ_ROLES), async (req, res) => {
+    try {
+        const { company_id, framework } = req.query;
+        log('info', 'Fetching reports', { filters: { company_id, framework } });
+        
+        let reports = filterByCompanyScope(req.user, await readCollection(REPORTS));
+        
+        if (company_id) {
+            reports = reports.filter(r => r.company_id === company_id);
+        }
+        
+        if (framework) {
+            reports = reports.filter(r => r.framework === framework);
+        }
+        
+        const sortedReports = reports.sort((a, b) => new Date(b.generated_at) - new Date(a.generated_at));
+        
+        log('info', `Successfully fetched ${sortedReports.length} reports`);
+        res.json(sortedReports);
+    } catch (error) {
+        log('error', 'Failed to fetch reports', { error: error.message, query: req.query });
+        res.status(500).json({ error: 'Failed to fetch reports' });
     }
-}
+});
 
-async function logToFile(level, message, data = null) {
+// Get report by ID
+app.get('/api/reports/:id', authenticate, authorize(...REPORT_READ_ROLES), async (req, res) => {
     try {
-        await fs.mkdir(LOGS_DIR, { recursive: true });
+        const reportId = req.params.id;
+        log('info', `Fetching report by ID: ${reportId}`);
         
-        const timestamp = getCurrentTimestamp();
-        const logEntry = {
-            timestamp,
-            level: level.toUpperCase(),
-            message,
-            data: data || null
-        };
+        const reports = await readCollection(REPORTS);
+        const report = reports.find(r => r.id === reportId);
+        
+        if (!report) {
+            log('warn', `Report not found: ${reportId}`);
+            return res.status(404).json({ error: 'Report not found' });
+        }
         
-        const logFileName = `app-${moment().format('YYYY-MM-DD')}.log`;
-        const logFilePath = path.join(LOGS_DIR, logFileName);
-        const logLine = JSON.stringify(logEntry) + '\n';
+        if (!canAccessCompany(req.user, report.company_id)) {
+            log('warn', `Report access denied: ${req.user.email} on ${reportId}`);
+            return res.status(403).json({ error: 'You do not have access to this report' });
+        }
         
-        await fs.appendFile(logFilePath, logLine);
+        res.json(report);
     } catch (error) {
-        console.error('Failed to write to log file:', error.message);
+        log('error', `Failed to fetch report: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch report' });
     }
-}
-
-function log(level, message, data = null) {
-    logToConsole(level, message, data);
-    logToFile(level, message, data);
-}
-
-// Request logging middleware
-app.use((req, res, next) => {
-    const startTime = Date.now();
-    const originalJson = res.json;
-    
-    res.json = function(body) {
-        const duration = Date.now() - startTime;
-        log('info', `${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`, {
-            method: req.method,
-            path: req.path,
-            statusCode: res.statusCode,
-            duration: `${duration}ms`,
-            userAgent: req.get('User-Agent') || 'Unknown',
-            ip: req.ip || req.connection.remoteAddress
-        });
-        return originalJson.call(this, body);
-    };
-    
-    next();
 });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-
-log('info', '🌿 Green Ledger server starting up...');
-
-// Data directory paths
-const DATA_DIR = path.join(__dirname, 'data');
-const COMPANIES_FILE = path.join(DATA_DIR, 'companies.json');
-const ESG_ACTIVITIES_FILE = path.join(DATA_DIR, 'esg_activities.json');
-const REPORTS_FILE = path.join(DATA_DIR, 'reports.json');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-
-// Initialize data directory and files
-async function initializeDataFiles() {
+// Inclusion proof for one activity of a report: its claim as the report saw it and the sibling hashes up to the root
+app.get('/api/reports/:id/proof/:activityId', authenticate, authorize(...REPORT_READ_ROLES), async (req, res) => {
     try {
-        log('info', 'Initializing data directory and files...');
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        
-        const files = [
-            { path: COMPANIES_FILE, default: [] },
-            { path: ESG_ACTIVITIES_FILE, default: [] },
-            { path: REPORTS_FILE, default: [] },
-            { path: USERS_FILE, default: [] }
-        ];
-
-        for (const file of files) {
-            try {
-                await fs.access(file.path);
-                log('info', `Data file exists: ${path.basename(file.path)}`);
-            } catch {
-                await fs.writeFile(file.path, JSON.stringify(file.default, null, 2));
-                log('info', `Created new data file: ${path.basename(file.path)}`);
-            }
+        const { id: reportId, activityId } = req.params;
+        log('info', `Building inclusion proof: ${activityId} in ${reportId}`);
+        
+        const reports = await readCollection(REPORTS);
+        const report = reports.find(r => r.id === reportId);
+        
+        if (!report) {
+            log('warn', `Report not found for proof: ${reportId}`);
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        if (!canAccessCompany(req.user, report.company_id)) {
+            log('warn', `Report proof denied: ${req.user.email} on ${reportId}`);
+            return res.status(403).json({ error: 'You do not have access to this report' });
+        }
+        
+        if (!report.merkle || !Array.isArray(report.activity_ids)) {
+            return res.status(409).json({ error: 'This report was generated before Merkle roots were recorded; generate it again to get proofs' });
+        }
+        
+        const index = report.activity_ids.indexOf(activityId);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Activity is not included in this report' });
+        }
+        
+        // Replay the ledger up to generation time so later corrections and evidence do not change the leaves
+        const activities = getReportActivities(report, await readActivities({ includeRetracted: true, asOf: report.generated_at }));
+        const leafHashes = getReportLeafHashes(activities);
+        
+        if (activities.length !== report.activity_ids.length || merkle.getMerkleRoot(leafHashes) !== report.merkle.root) {
+            log('error', 'Report activities no longer reproduce the stored Merkle root', { reportId });
+            return res.status(409).json({ error: 'The ledger no longer reproduces this report\'s Merkle root; run the ledger verification' });
         }
         
-        log('info', 'Data files initialization completed successfully');
+        res.json({
+            report_id: report.id,
+            activity_id: activityId,
+            algorithm: report.merkle.algorithm,
+            merkle_root: report.merkle.root,
+            leaf_count: report.merkle.leaf_count,
+            leaf_index: index,
+            claim: getActivityClaim(activities[index]),
+            leaf_hash: leafHashes[index],
+            proof: merkle.getMerkleProof(leafHashes, index)
+        });
     } catch (error) {
-        log('error', 'Error initializing data files', { error: error.message, stack: error.stack });
+        log('error', `Failed to build inclusion proof: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to build inclusion proof' });
     }
-}
+});
 
-// Utility functions
-async function readJSONFile(filePath) {
+// Export a stored report
+app.get('/api/reports/:id/export', authenticate, authorize(...REPORT_READ_ROLES), async (req, res) => {
     try {
-        const data = await fs.readFile(filePath, 'utf-8');
-        const parsedData = JSON.parse(data);
-        log('debug', `Successfully read JSON file: ${path.basename(filePath)}`, { recordCount: parsedData.length });
-        return parsedData;
+        const reportId = req.params.id;
+        const format = String(req.query.format || 'pdf').toLowerCase();
+        log('info', `Exporting report: ${reportId}`, { format });
+        
+        if (!EXPORT_FORMATS.includes(format)) {
+            log('warn', `Unsupported export format: ${format}`);
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        
+        const reports = await readCollection(REPORTS);
+        const report = reports.find(r => r.id === reportId);
+        
+        if (!report) {
+            log('warn', `Report not found for export: ${reportId}`);
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        if (!canAccessCompany(req.user, report.company_id)) {
+            log('warn', `Report export denied: ${req.user.email} on ${reportId}`);
+            return res.status(403).json({ error: 'You do not have access to this report' });
+        }
+        
+        // Exports show the records as the signed report saw them, not as later corrected
+        const companies = await readCompanies({ includeRetracted: true, asOf: report.generated_at });
+        const company = companies.find(c => c.id === report.company_id);
+        const activities = getReportActivities(report, await readActivities({ includeRetracted: true, asOf: report.generated_at }));
+        const fileBase = `green-ledger-${report.framework}-${report.period}-${report.id.substring(0, 8)}`.replace(/[^\w.-]+/g, '_');
+        
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+            res.send(buildReportCSV(report, company, activities));
+        } else if (format === 'jsonld') {
+            res.set('Content-Type', 'application/ld+json; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileBase}.jsonld"`);
+            res.send(JSON.stringify(buildReportJSONLD(report, company, activities), null, 2));
+        } else {
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${fileBase}.pdf"`);
+            const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${report.framework} ESG Report - ${report.company_name}` } });
+            doc.pipe(res);
+            writeReportPDF(doc, report, company, activities);
+            doc.end();
+        }
+        
+        log('info', 'Successfully exported report', { reportId, format, activities: activities.length });
     } catch (error) {
-        log('error', `Failed to read JSON file: ${path.basename(filePath)}`, { error: error.message });
-        return [];
+        log('error', `Failed to export report: ${req.params.id}`, { error: error.message });
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export report' });
+        }
     }
-}
+});
 
-async function writeJSONFile(filePath, data) {
+// Get reports for a company
+app.get('/api/companies/:id/reports', authenticate, authorize(...REPORT_READ_ROLES), requireCompanyAccess(req => req.params.id), async (req, res) => {
     try {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-        log('debug', `Successfully wrote JSON file: ${path.basename(filePath)}`, { recordCount: data.length });
+        const companyId = req.params.id;
+        log('info', `Fetching reports for company: ${companyId}`);
+        
+        const companies = await readCompanies({ includeRetracted: true });
+        if (!companies.some(c => c.id === companyId)) {
+            log('warn', `Company not found: ${companyId}`);
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const reports = await readCollection(REPORTS);
+        const companyReports = reports
+            .filter(r => r.company_id === companyId)
+            .sort((a, b) => new Date(b.generated_at) - new Date(a.generated_at));
+        
+        log('info', `Successfully fetched ${companyReports.length} reports for company: ${companyId}`);
+        res.json(companyReports);
     } catch (error) {
-        log('error', `Failed to write JSON file: ${path.basename(filePath)}`, { error: error.message });
-        throw error;
+        log('error', `Failed to fetch reports for company: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch company reports' });
     }
-}
+});
 
-function generateHash(data) {
+// Get emission factor table
+app.get('/api/emission-factors', authenticate, authorize(...ALL_ROLES), async (req, res) => {
     try {
-        const hash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
-        log('debug', 'Generated blockchain hash', { hashLength: hash.length, hashPrefix: hash.substring(0, 16) });
-        return hash;
+        log('info', 'Fetching emission factors');
+        const years = await readEmissionFactors();
+        res.json({ unit: EMISSION_FACTOR_DEFAULTS.unit, sources: EMISSION_SOURCES, years });
     } catch (error) {
-        log('error', 'Failed to generate hash', { error: error.message });
-        throw error;
+        log('error', 'Failed to fetch emission factors', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch emission factors' });
     }
-}
+});
 
-function calculateESGScore(activities) {
+// Create or update the emission factors for one year
+app.put('/api/emission-factors/:year', authenticate, authorize('admin'), async (req, res) => {
     try {
-        if (!activities.length) {
-            log('debug', 'No activities provided for ESG score calculation');
-            return 0;
-        }
+        const { year } = req.params;
+        // Factors may be sent as the body itself or wrapped in { factors }
+        const body = req.body && req.body.factors !== undefined ? req.body.factors : req.body;
+        const { value: factors, errors } = validate(SCHEMAS.emissionFactors, body, { rejectUnknown: true });
+        log('info', `Updating emission factors for ${year}`, { factors });
         
-        const weights = { environmental: 0.4, social: 0.3, governance: 0.3 };
-        let totalScore = 0;
-        let categoryScores = { environmental: 0, social: 0, governance: 0 };
-        
-        activities.forEach(activity => {
-            categoryScores[activity.category] += activity.impact_score || 5;
-        });
-        
-        Object.keys(categoryScores).forEach(category => {
-            totalScore += (categoryScores[category] / activities.filter(a => a.category === category).length || 0) * weights[category];
-        });
+        if (!/^\d{4}$/.test(year)) {
+            errors.unshift({ field: 'year', message: 'must be a four-digit year' });
+        }
+        if (!errors.length && !Object.keys(factors).length) {
+            errors.push({ field: 'factors', message: `must set at least one of: ${Object.keys(EMISSION_SOURCES).join(', ')}` });
+        }
+        if (errors.length) {
+            log('warn', `Validation failed for emissionFactors: ${req.method} ${req.path}`, { errors });
+            return sendValidationError(res, errors);
+        }
         
-        const finalScore = Math.min(Math.round(totalScore), 100);
-        log('debug', 'ESG score calculated', { 
-            activitiesCount: activities.length, 
-            categoryScores, 
-            finalScore 
+        const table = await updateCollection(EMISSION_FACTORS, stored => {
+            const current = stored && !Array.isArray(stored) ? stored : { ...EMISSION_FACTOR_DEFAULTS.years };
+            // A new year starts from the closest earlier year's factors
+            current[year] = { ...(current[year] || getFactorsForYear(current, Number(year)).factors), ...factors };
+            return current;
         });
         
-        return finalScore;
+        log('info', `Successfully updated emission factors for ${year}`);
+        audit(req, 'update', 'emission_factors', year, { changes: factors });
+        res.json({ year: Number(year), factors: table[year] });
     } catch (error) {
-        log('error', 'Failed to calculate ESG score', { error: error.message });
-        return 0;
+        log('error', `Failed to update emission factors for ${req.params.year}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to update emission factors' });
     }
-}
-
-// API Routes
+});
 
-// Get all companies
-app.get('/api/companies', async (req, res) => {
+// List webhook subscriptions
+app.get('/api/webhooks', authenticate, authorize('admin'), async (req, res) => {
     try {
-        log('info', 'Fetching all companies');
-        const companies = await readJSONFile(COMPANIES_FILE);
-        log('info', `Successfully fetched ${companies.length} companies`);
-        res.json(companies);
+        const subscriptions = await readCollection(WEBHOOKS);
+        res.json(subscriptions.map(sanitizeWebhook));
     } catch (error) {
-        log('error', 'Failed to fetch companies', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch companies' });
+        log('error', 'Failed to fetch webhooks', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
     }
 });
 
-// Create new company
-app.post('/api/companies', async (req, res) => {
+// Subscribe a URL to ledger events; the signing secret is returned only in this response
+app.post('/api/webhooks', authenticate, authorize('admin'), validateBody('webhook'), async (req, res) => {
     try {
-        log('info', 'Creating new company', { companyData: req.body });
-        const companies = await readJSONFile(COMPANIES_FILE);
-        const newCompany = {
+        log('info', 'Creating webhook subscription', { url: req.body.url, events: req.body.events });
+        
+        const companies = await readCompanies();
+        const unknown = (req.body.company_ids || []).filter(id => !companies.some(c => c.id === id));
+        if (unknown.length) {
+            return sendValidationError(res, unknown.map(id => ({ field: 'company_ids', message: `${id} does not match an existing company` })));
+        }
+        
+        const subscription = {
             id: uuidv4(),
             ...req.body,
-            created_at: moment().toISOString(),
-            esg_score: 0
+            company_ids: req.body.company_ids || [],
+            active: req.body.active !== false,
+            secret: webhooks.generateSecret(),
+            created_by: req.user.id,
+            created_at: moment().toISOString()
         };
         
-        companies.push(newCompany);
-        await writeJSONFile(COMPANIES_FILE, companies);
-        
-        log('info', 'Successfully created new company', { 
-            companyId: newCompany.id, 
-            companyName: newCompany.name 
-        });
+        await updateCollection(WEBHOOKS, subscriptions => [...subscriptions, subscription]);
         
-        res.status(201).json(newCompany);
+        log('info', 'Successfully created webhook subscription', { webhookId: subscription.id });
+        audit(req, 'create', 'webhook', subscription.id, { url: subscription.url, events: subscription.events });
+        res.status(201).json(subscription);
     } catch (error) {
-        log('error', 'Failed to create company', { error: error.message, requestBody: req.body });
-        res.status(500).json({ error: 'Failed to create company' });
+        log('error', 'Failed to create webhook', { error: error.message });
+        res.status(500).json({ error: 'Failed to create webhook' });
     }
 });
 
-// Get company by ID
-app.get('/api/companies/:id', async (req, res) => {
+// Update a webhook subscription (active: false pauses deliveries without dropping the queue)
+app.patch('/api/webhooks/:id', authenticate, authorize('admin'), validateBody('webhook', { partial: true }), async (req, res) => {
     try {
-        const companyId = req.params.id;
-        log('info', `Fetching company by ID: ${companyId}`);
+        const webhookId = req.params.id;
+        log('info', `Updating webhook: ${webhookId}`, { fields: Object.keys(req.body) });
         
-        const companies = await readJSONFile(COMPANIES_FILE);
-        const company = companies.find(c => c.id === companyId);
-        
-        if (!company) {
-            log('warn', `Company not found: ${companyId}`);
-            return res.status(404).json({ error: 'Company not found' });
+        if (req.body.company_ids) {
+            const companies = await readCompanies();
+            const unknown = req.body.company_ids.filter(id => !companies.some(c => c.id === id));
+            if (unknown.length) {
+                return sendValidationError(res, unknown.map(id => ({ field: 'company_ids', message: `${id} does not match an existing company` })));
+            }
         }
         
-        // Get company's ESG activities
-        const activities = await readJSONFile(ESG_ACTIVITIES_FILE);
-        const companyActivities = activities.filter(a => a.company_id === companyId);
+        let subscription;
+        await updateCollection(WEBHOOKS, subscriptions => {
+            subscription = subscriptions.find(s => s.id === webhookId);
+            if (!subscription) return subscriptions;
+            Object.assign(subscription, req.body, { updated_by: req.user.id, updated_at: moment().toISOString() });
+            return subscriptions;
+        });
         
-        // Calculate ESG score
-        company.esg_score = calculateESGScore(companyActivities);
-        company.total_activities = companyActivities.length;
+        if (!subscription) {
+            log('warn', `Webhook not found: ${webhookId}`);
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
         
-        log('info', `Successfully fetched company: ${company.name}`, { 
-            esgScore: company.esg_score, 
-            totalActivities: company.total_activities 
+        log('info', 'Successfully updated webhook', { webhookId });
+        audit(req, 'update', 'webhook', webhookId, { changes: req.body });
+        res.json(sanitizeWebhook(subscription));
+    } catch (error) {
+        log('error', `Failed to update webhook: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Delete a webhook subscription; its pending deliveries are marked failed by the worker
+app.delete('/api/webhooks/:id', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const webhookId = req.params.id;
+        log('info', `Deleting webhook: ${webhookId}`);
+        
+        let removed;
+        await updateCollection(WEBHOOKS, subscriptions => {
+            removed = subscriptions.find(s => s.id === webhookId);
+            return removed ? subscriptions.filter(s => s.id !== webhookId) : subscriptions;
         });
         
-        res.json(company);
+        if (!removed) {
+            log('warn', `Webhook not found: ${webhookId}`);
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        log('info', 'Successfully deleted webhook', { webhookId });
+        audit(req, 'delete', 'webhook', webhookId, { url: removed.url });
+        res.status(204).end();
     } catch (error) {
-        log('error', `Failed to fetch company: ${req.params.id}`, { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch company' });
+        log('error', `Failed to delete webhook: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to delete webhook' });
     }
 });
 
-// Get ESG activities
-app.get('/api/esg-activities', async (req, res) => {
+// Queue a webhook.test delivery to one subscription
+app.post('/api/webhooks/:id/test', authenticate, authorize('admin'), async (req, res) => {
     try {
-        const { company_id, category } = req.query;
-        log('info', 'Fetching ESG activities', { filters: { company_id, category } });
+        const subscription = (await readCollection(WEBHOOKS)).find(s => s.id === req.params.id);
+        if (!subscription) {
+            log('warn', `Webhook not found: ${req.params.id}`);
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
         
-        const activities = await readJSONFile(ESG_ACTIVITIES_FILE);
-        let filteredActivities = activities;
+        const delivery = await webhookDispatcher.queue(subscription, 'webhook.test', {
+            webhook_id: subscription.id,
+            requested_by: req.user.id
+        });
         
-        if (company_id) {
-            filteredActivities = filteredActivities.filter(a => a.company_id === company_id);
+        log('info', 'Queued webhook test delivery', { webhookId: subscription.id, deliveryId: delivery.id });
+        res.status(202).json(delivery);
+    } catch (error) {
+        log('error', `Failed to test webhook: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to test webhook' });
+    }
+});
+
+// Delivery log for one subscription, newest first
+app.get('/api/webhooks/:id/deliveries', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { value: query, errors } = validate(SCHEMAS.webhookDeliveryQuery, req.query);
+        if (errors.length) {
+            return sendValidationError(res, errors);
         }
         
-        if (category) {
-            filteredActivities = filteredActivities.filter(a => a.category === category);
+        const subscription = (await readCollection(WEBHOOKS)).find(s => s.id === req.params.id);
+        if (!subscription) {
+            log('warn', `Webhook not found: ${req.params.id}`);
+            return res.status(404).json({ error: 'Webhook not found' });
         }
         
-        const sortedActivities = filteredActivities.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        const deliveries = (await readCollection(WEBHOOK_DELIVERIES))
+            .filter(d => d.subscription_id === subscription.id && (!query.status || d.status === query.status))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
         
-        log('info', `Successfully fetched ${sortedActivities.length} ESG activities`, {
-            totalActivities: activities.length,
-            filteredActivities: sortedActivities.length,
-            filters: { company_id, category }
+        res.json({
+            webhook_id: subscription.id,
+            total: deliveries.length,
+            deliveries: deliveries.slice(0, query.limit || 50)
         });
+    } catch (error) {
+        log('error', `Failed to fetch deliveries for webhook: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Send a delivery again with a fresh retry budget
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { id, deliveryId } = req.params;
+        const delivery = (await readCollection(WEBHOOK_DELIVERIES)).find(d => d.id === deliveryId && d.subscription_id === id);
+        if (!delivery) {
+            log('warn', `Webhook delivery not found: ${deliveryId}`);
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        if (delivery.status === 'pending') {
+            return res.status(409).json({ error: 'Delivery is still pending', next_attempt_at: delivery.next_attempt_at });
+        }
         
-        res.json(sortedActivities);
+        const requeued = await webhookDispatcher.redeliver(deliveryId);
+        log('info', 'Requeued webhook delivery', { webhookId: id, deliveryId });
+        res.status(202).json(requeued);
     } catch (error) {
-        log('error', 'Failed to fetch ESG activities', { error: error.message, query: req.query });
-        res.status(500).json({ error: 'Failed to fetch ESG activities' });
+        log('error', `Failed to redeliver webhook delivery: ${req.params.deliveryId}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
     }
 });
 
-// Create new ESG activity
-app.post('/api/esg-activities', async (req, res) => {
+// List portfolios (admins see all, everyone else their own)
+app.get('/api/portfolios', authenticate, authorize(...ALL_ROLES), async (req, res) => {
     try {
-        log('info', 'Creating new ESG activity', { activityData: req.body });
+        const portfolios = (await readCollection(PORTFOLIOS)).filter(p => canAccessPortfolio(req.user, p));
+        res.json(portfolios);
+    } catch (error) {
+        log('error', 'Failed to fetch portfolios', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch portfolios' });
+    }
+});
+
+// Create a portfolio of weighted company holdings
+app.post('/api/portfolios', authenticate, authorize(...ALL_ROLES), validateBody('portfolio'), async (req, res) => {
+    try {
+        log('info', 'Creating portfolio', { name: req.body.name, holdings: req.body.holdings.length });
         
-        const activities = await readJSONFile(ESG_ACTIVITIES_FILE);
-        const activityData = {
+        const errors = checkPortfolioHoldings(req.body.holdings, await readCompanies(), req.user);
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        
+        const portfolio = {
             id: uuidv4(),
             ...req.body,
+            owner_id: req.user.id,
             created_at: moment().toISOString()
         };
         
-        // Generate blockchain hash
-        activityData.hash = generateHash(activityData);
-        activityData.prev_hash = activities.length > 0 ? activities[activities.length - 1].hash : '0';
+        await updateCollection(PORTFOLIOS, portfolios => [...portfolios, portfolio]);
         
-        activities.push(activityData);
-        await writeJSONFile(ESG_ACTIVITIES_FILE, activities);
+        log('info', 'Successfully created portfolio', { portfolioId: portfolio.id });
+        audit(req, 'create', 'portfolio', portfolio.id, { name: portfolio.name, holdings: portfolio.holdings.length });
+        res.status(201).json(portfolio);
+    } catch (error) {
+        log('error', 'Failed to create portfolio', { error: error.message });
+        res.status(500).json({ error: 'Failed to create portfolio' });
+    }
+});
+
+// Get a portfolio
+app.get('/api/portfolios/:id', authenticate, authorize(...ALL_ROLES), async (req, res) => {
+    try {
+        const portfolio = (await readCollection(PORTFOLIOS)).find(p => p.id === req.params.id);
         
-        log('info', 'Successfully created ESG activity', {
-            activityId: activityData.id,
-            title: activityData.title,
-            category: activityData.category,
-            companyId: activityData.company_id,
-            hash: activityData.hash.substring(0, 16) + '...'
-        });
+        if (!portfolio || !canAccessPortfolio(req.user, portfolio)) {
+            log('warn', `Portfolio not found: ${req.params.id}`);
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
         
-        res.status(201).json(activityData);
+        res.json(portfolio);
     } catch (error) {
-        log('error', 'Failed to create ESG activity', { error: error.message, requestBody: req.body });
-        res.status(500).json({ error: 'Failed to create ESG activity' });
+        log('error', `Failed to fetch portfolio: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch portfolio' });
     }
 });
 
-// Generate ESG report
-app.post('/api/reports/:companyId', async (req, res) => {
+// Update a portfolio; holdings are replaced as a whole
+app.patch('/api/portfolios/:id', authenticate, authorize(...ALL_ROLES), validateBody('portfolio', { partial: true }), async (req, res) => {
     try {
-        const { companyId } = req.params;
-        const { framework = 'GRI', period = '2024' } = req.body;
+        const portfolioId = req.params.id;
+        log('info', `Updating portfolio: ${portfolioId}`, { fields: Object.keys(req.body) });
         
-        log('info', 'Generating ESG report', { companyId, framework, period });
+        if (req.body.holdings) {
+            const errors = checkPortfolioHoldings(req.body.holdings, await readCompanies(), req.user);
+            if (errors.length) {
+                return sendValidationError(res, errors);
+            }
+        }
         
-        const companies = await readJSONFile(COMPANIES_FILE);
-        const company = companies.find(c => c.id === companyId);
+        let portfolio;
+        await updateCollection(PORTFOLIOS, portfolios => {
+            portfolio = portfolios.find(p => p.id === portfolioId && canAccessPortfolio(req.user, p));
+            if (!portfolio) return portfolios;
+            Object.assign(portfolio, req.body, { updated_at: moment().toISOString() });
+            return portfolios;
+        });
         
-        if (!company) {
-            log('warn', `Company not found for report generation: ${companyId}`);
-            return res.status(404).json({ error: 'Company not found' });
+        if (!portfolio) {
+            log('warn', `Portfolio not found: ${portfolioId}`);
+            return res.status(404).json({ error: 'Portfolio not found' });
         }
         
-        const activities = await readJSONFile(ESG_ACTIVITIES_FILE);
-        const companyActivities = activities.filter(a => a.company_id === companyId);
+        log('info', 'Successfully updated portfolio', { portfolioId });
+        audit(req, 'update', 'portfolio', portfolioId, { changes: req.body });
+        res.json(portfolio);
+    } catch (error) {
+        log('error', `Failed to update portfolio: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to update portfolio' });
+    }
+});
+
+// Delete a portfolio
+app.delete('/api/portfolios/:id', authenticate, authorize(...ALL_ROLES), async (req, res) => {
+    try {
+        const portfolioId = req.params.id;
+        log('info', `Deleting portfolio: ${portfolioId}`);
         
-        const report = {
-            id: uuidv4(),
-            company_id: companyId,
-            company_name: company.name,
-            framework,
-            period,
-            generated_at: moment().toISOString(),
-            esg_score: calculateESGScore(companyActivities),
-            total_activities: companyActivities.length,
-            activities_by_category: {
-                environmental: companyActivities.filter(a => a.category === 'environmental').length,
-                social: companyActivities.filter(a => a.category === 'social').length,
-                governance: companyActivities.filter(a => a.category === 'governance').length
-            },
-            hash: generateHash({ companyId, framework, period, activities: companyActivities })
-        };
+        let removed;
+        await updateCollection(PORTFOLIOS, portfolios => {
+            removed = portfolios.find(p => p.id === portfolioId && canAccessPortfolio(req.user, p));
+            return removed ? portfolios.filter(p => p.id !== portfolioId) : portfolios;
+        });
         
-        const reports = await readJSONFile(REPORTS_FILE);
-        reports.push(report);
-        await writeJSONFile(REPORTS_FILE, reports);
+        if (!removed) {
+            log('warn', `Portfolio not found: ${portfolioId}`);
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
         
-        log('info', 'Successfully generated ESG report', {
-            reportId: report.id,
-            companyName: report.company_name,
-            framework: report.framework,
-            esgScore: report.esg_score,
-            totalActivities: report.total_activities,
-            reportHash: report.hash.substring(0, 16) + '...'
+        log('info', 'Successfully deleted portfolio', { portfolioId });
+        audit(req, 'delete', 'portfolio', portfolioId, { name: removed.name });
+        res.status(204).end();
+    } catch (error) {
+        log('error', `Failed to delete portfolio: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to delete portfolio' });
+    }
+});
+
+// Portfolio analytics: weighted ESG score, category mix, financed emissions, worst performers and monthly trend
+app.get('/api/portfolios/:id/analytics', authenticate, authorize(...ALL_ROLES), async (req, res) => {
+    try {
+        const { value: query, errors } = validate(SCHEMAS.portfolioAnalyticsQuery, req.query);
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        
+        const portfolio = (await readCollection(PORTFOLIOS)).find(p => p.id === req.params.id);
+        if (!portfolio || !canAccessPortfolio(req.user, portfolio)) {
+            log('warn', `Portfolio not found: ${req.params.id}`);
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+        
+        // Holdings were checked against the owner's companies when saved, but assignments can change since
+        const holdings = portfolio.holdings.filter(h => canAccessCompany(req.user, h.company_id));
+        const companyIds = new Set(holdings.map(h => h.company_id));
+        const activities = (await readActivities({ scoredOnly: true })).filter(a => companyIds.has(a.company_id));
+        const analytics = buildPortfolioAnalytics({ ...portfolio, holdings }, await readCompanies(), activities, await readEmissionFactors(), {
+            limit: query.limit
         });
         
-        res.json(report);
-    } catch (error) {
-        log('error', `Failed to generate ESG report for company: ${req.params.companyId}`, { 
-            error: error.message, 
-            requestBody: req.body 
+        log('info', `Generated analytics for portfolio: ${portfolio.name}`, {
+            portfolioId: portfolio.id,
+            weightedScore: analytics.weighted_esg_score,
+            financedEmissions: analytics.financed_emissions.total_tco2e
         });
-        res.status(500).json({ error: 'Failed to generate report' });
+        res.json(analytics);
+    } catch (error) {
+        log('error', `Failed to build analytics for portfolio: ${req.params.id}`, { error: error.message });
+        res.status(500).json({ error: 'Failed to build portfolio analytics' });
+    }
+});
+
+// Query the application log or the audit stream (admin)
+app.get('/api/admin/logs', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { value: query, errors } = validate(SCHEMAS.logQuery, req.query);
+        if (errors.length) {
+            return sendValidationError(res, errors);
+        }
+        
+        // Each day is a file to scan, so ranges are capped
+        const from = moment.utc(query.from || query.to);
+        const to = moment.utc(query.to);
+        if (query.from && query.to && from.isAfter(to)) {
+            return sendValidationError(res, [{ field: 'from', message: 'must not be after to' }]);
+        }
+        if (query.from && to.diff(from, 'days') > LOG_QUERY_MAX_DAYS) {
+            return sendValidationError(res, [{ field: 'from', message: `range must be at most ${LOG_QUERY_MAX_DAYS} days` }]);
+        }
+        
+        const result = await logger.query(query);
+        res.json(result);
+    } catch (error) {
+        log('error', 'Failed to query logs', { error: error.message });
+        res.status(500).json({ error: 'Failed to query logs' });
     }
 });
 
 // Get dashboard data
-app.get('/api/dashboard/:companyId', async (req, res) => {
+app.get('/api/dashboard/:companyId', authenticate, authorize(...COMPANY_READ_ROLES), requireCompanyAccess(req => req.params.companyId), async (req, res) => {
     try {
         const { companyId } = req.params;
         log('info', `Fetching dashboard data for company: ${companyId}`);
         
-        const companies = await readJSONFile(COMPANIES_FILE);
+        const companies = await readCompanies();
         const company = companies.find(c => c.id === companyId);
         
         if (!company) {
@@ -400,26 +4279,40 @@ app.get('/api/dashboard/:companyId', async (req, res) => {
             return res.status(404).json({ error: 'Company not found' });
         }
         
-        const activities = await readJSONFile(ESG_ACTIVITIES_FILE);
-        const companyActivities = activities.filter(a => a.company_id === companyId);
+        const activities = await readActivities();
+        const allCompanyActivities = activities.filter(a => a.company_id === companyId);
+        // Drafts and rejected claims only show up in the review status counts
+        const companyActivities = allCompanyActivities.filter(isScoredActivity);
+        const factorTable = await readEmissionFactors();
+        const targets = (await readCompanyTargets(companyId))
+            .map(target => calculateTargetProgress(target, companyActivities, factorTable));
+        const scoreSnapshots = (await readCollection(SCORE_SNAPSHOTS)).filter(s => s.company_id === companyId);
         
         const dashboard = {
             company: company.name,
-            esg_score: calculateESGScore(companyActivities),
+            esg_score: calculateESGScore(companyActivities, { industry: company.industry }),
             total_activities: companyActivities.length,
             categories: {
                 environmental: companyActivities.filter(a => a.category === 'environmental').length,
                 social: companyActivities.filter(a => a.category === 'social').length,
                 governance: companyActivities.filter(a => a.category === 'governance').length
             },
-            recent_activities: companyActivities.slice(0, 5),
-            monthly_trend: getMonthlyTrend(companyActivities)
+            emissions: summarizeEmissions(companyActivities, factorTable),
+            activities_with_evidence: companyActivities.filter(a => a.evidence && a.evidence.length).length,
+            verified_activities: companyActivities.filter(a => a.status === 'verified').length,
+            status_counts: countByStatus(allCompanyActivities),
+            recent_activities: sortActivities(companyActivities, 'activity_date', 'desc').slice(0, 5),
+            monthly_trend: getMonthlyTrend(companyActivities),
+            score_history: buildScoreHistory(scoreSnapshots),
+            targets,
+            target_status_counts: countTargetsByStatus(targets)
         };
         
         log('info', `Successfully generated dashboard data for: ${company.name}`, {
             esgScore: dashboard.esg_score,
             totalActivities: dashboard.total_activities,
-            categoryBreakdown: dashboard.categories
+            categoryBreakdown: dashboard.categories,
+            totalEmissions: dashboard.emissions.total_tco2e
         });
         
         res.json(dashboard);
@@ -435,7 +4328,7 @@ function getMonthlyTrend(activities) {
     try {
         const trend = {};
         activities.forEach(activity => {
-            const month = moment(activity.created_at).format('YYYY-MM');
+            const month = getActivityDate(activity).format('YYYY-MM');
             trend[month] = (trend[month] || 0) + 1;
         });
         
@@ -459,6 +4352,12 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Body parser errors (malformed JSON, oversized uploads) are the client's fault
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        log('warn', `Rejected request body: ${err.message}`, { url: req.url, method: req.method, status: err.status });
+        return res.status(err.status).json({ error: err.status === 413 ? 'Request body is too large' : err.message });
+    }
+    
     log('error', 'Unhandled error occurred', {
         error: err.message,
         stack: err.stack,
@@ -490,6 +4389,10 @@ app.use((req, res) => {
 async function startServer() {
     try {
         await initializeDataFiles();
+        await initializeReportSigningKey();
+        webhookDispatcher.start();
+        logger.startMaintenance();
+        startScoreSnapshots();
         
         const server = app.listen(PORT, () => {
             log('info', `🌿 Green Ledger server successfully started`, {
@@ -506,7 +4409,11 @@ async function startServer() {
         // Graceful shutdown
         process.on('SIGINT', () => {
             log('info', 'Received SIGINT, shutting down gracefully...');
-            server.close(() => {
+            webhookDispatcher.stop();
+            logger.stopMaintenance();
+            stopScoreSnapshots();
+            server.close(async () => {
+                await storage.close();
                 log('info', 'Server closed successfully');
                 process.exit(0);
             });
@@ -514,7 +4421,11 @@ async function startServer() {
         
         process.on('SIGTERM', () => {
             log('info', 'Received SIGTERM, shutting down gracefully...');
-            server.close(() => {
+            webhookDispatcher.stop();
+            logger.stopMaintenance();
+            stopScoreSnapshots();
+            server.close(async () => {
+                await storage.close();
                 log('info', 'Server closed successfully');
                 process.exit(0);
             });
@@ -0,0 +1,159 @@
+const ExcelJS = require('exceljs');
+
+// Reads CSV and XLSX uploads into a header row plus data rows, so bulk imports can treat both
+// formats the same way. Cells keep their spreadsheet line numbers for error reporting. Also
+// writes the CSV used by report and CLI exports.
+
+const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+const ACTIVITY_CSV_COLUMNS = [
+    'id', 'company_id', 'company_name', 'category', 'status', 'title', 'description', 'activity_date',
+    'impact_score', 'investment_amount', 'metrics', 'quantities', 'created_at', 'hash', 'prev_hash'
+];
+
+// XLSX files are zip archives; everything else is treated as CSV text
+function detectFormat(buffer, contentType = '') {
+    if (contentType.includes('spreadsheetml') || buffer.subarray(0, 2).toString('latin1') === 'PK') {
+        return 'xlsx';
+    }
+    return 'csv';
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+function parseCSV(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        records.push({ line: recordLine, cells: record });
+        record = [];
+        recordLine = line;
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (field !== '' || record.length) {
+        endRecord();
+    }
+    return records;
+}
+
+// Formulas, rich text, hyperlinks and dates come back from ExcelJS as objects
+function getCellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return getCellValue(value.result);
+    if ('text' in value) return getCellValue(value.text);
+    return null;
+}
+
+async function parseXLSX(buffer, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error('File is not a readable XLSX workbook');
+    }
+
+    const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!worksheet) {
+        throw new Error(sheetName ? `Worksheet "${sheetName}" not found` : 'Workbook has no worksheets');
+    }
+
+    const records = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        // row.values is 1-based
+        const cells = [];
+        for (let column = 1; column < row.values.length; column++) {
+            cells.push(getCellValue(row.values[column]));
+        }
+        records.push({ line: rowNumber, cells });
+    });
+    return records;
+}
+
+const isBlank = cell => cell === null || cell === undefined || String(cell).trim() === '';
+
+// Returns { format, headers, rows: [{ line, cells }] } with blank rows dropped
+async function parseSpreadsheet(buffer, { format, contentType, sheet } = {}) {
+    const resolved = format || detectFormat(buffer, contentType);
+    const records = resolved === 'xlsx'
+        ? await parseXLSX(buffer, sheet)
+        : parseCSV(buffer.toString('utf-8'));
+
+    const nonEmpty = records.filter(record => record.cells.some(cell => !isBlank(cell)));
+    if (!nonEmpty.length) {
+        throw new Error('File has no header row');
+    }
+
+    const [header, ...rows] = nonEmpty;
+    return {
+        format: resolved,
+        headers: header.cells.map(cell => (isBlank(cell) ? '' : String(cell).trim())),
+        rows
+    };
+}
+
+// Text cells that a spreadsheet would evaluate as a formula get a leading apostrophe;
+// numbers are left alone so negative values stay numeric
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeCSVValue(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    SPREADSHEET_FORMATS,
+    ACTIVITY_CSV_COLUMNS,
+    parseSpreadsheet,
+    toCSV
+};
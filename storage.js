@@ -0,0 +1,300 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Storage layer shared by the server and the maintenance scripts. Each collection
+// (companies, esg_activities, ...) is read and written as a whole; writes to the same
+// collection are serialized and a collection that fails to parse is never overwritten.
+
+class StorageCorruptionError extends Error {
+    constructor(collection, cause) {
+        super(`Collection "${collection}" is corrupted and will not be overwritten: ${cause.message}`);
+        this.name = 'StorageCorruptionError';
+        this.collection = collection;
+    }
+}
+
+// Queues async tasks per key so read-modify-write cycles never interleave
+function createLock() {
+    const tails = new Map();
+
+    return function withLock(key, task) {
+        const previous = tails.get(key) || Promise.resolve();
+        const run = previous.then(() => task());
+        const tail = run.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return run;
+    };
+}
+
+function createJSONDriver({ dataDir }) {
+    const filePath = name => path.join(dataDir, `${name}.json`);
+
+    return {
+        name: 'json',
+        location: dataDir,
+
+        async init() {
+            await fs.mkdir(dataDir, { recursive: true });
+        },
+
+        async list() {
+            const files = await fs.readdir(dataDir);
+            return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+        },
+
+        async load(name) {
+            let text;
+            try {
+                text = await fs.readFile(filePath(name), 'utf-8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return undefined;
+                throw error;
+            }
+
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new StorageCorruptionError(name, error);
+            }
+        },
+
+        // Write to a temp file in the same directory, flush it, then rename over the target
+        async save(name, data) {
+            const target = filePath(name);
+            const temp = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+            const handle = await fs.open(temp, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(data, null, 2));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            try {
+                await fs.rename(temp, target);
+            } catch (error) {
+                await fs.unlink(temp).catch(() => {});
+                throw error;
+            }
+        },
+
+        async close() {}
+    };
+}
+
+function createSQLiteDriver({ filename }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The SQLite storage driver needs the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    let db = null;
+
+    const recordId = item => (item && item.id !== undefined ? String(item.id) : null);
+
+    // Returns false, having written nothing, when the changes cannot be applied row by row
+    function saveChangedRows(name, items) {
+        const ids = items.map(recordId);
+        if (ids.some(id => id === null) || new Set(ids).size !== ids.length) return false;
+
+        const stored = db.prepare('SELECT position, id, data FROM records WHERE collection = ? ORDER BY position').all(name);
+        if (stored.some(row => row.id === null)) return false;
+        const byId = new Map(stored.map(row => [row.id, row]));
+
+        // Kept rows must stay in stored order and new rows may only follow them
+        let lastPosition = -1;
+        let appending = false;
+        for (const id of ids) {
+            const row = byId.get(id);
+            if (!row) {
+                appending = true;
+            } else if (appending || row.position < lastPosition) {
+                return false;
+            } else {
+                lastPosition = row.position;
+            }
+        }
+
+        const keep = new Set(ids);
+        const remove = db.prepare('DELETE FROM records WHERE collection = ? AND position = ?');
+        stored.filter(row => !keep.has(row.id)).forEach(row => remove.run(name, row.position));
+
+        const update = db.prepare('UPDATE records SET data = ? WHERE collection = ? AND position = ?');
+        const insert = db.prepare('INSERT INTO records (collection, position, id, data) VALUES (?, ?, ?, ?)');
+        let nextPosition = stored.length ? stored[stored.length - 1].position + 1 : 0;
+        items.forEach((item, index) => {
+            const row = byId.get(ids[index]);
+            const json = JSON.stringify(item);
+            if (!row) {
+                insert.run(name, nextPosition++, ids[index], json);
+            } else if (row.data !== json) {
+                update.run(json, name, row.position);
+            }
+        });
+        return true;
+    }
+
+    return {
+        name: 'sqlite',
+        location: filename,
+
+        async init() {
+            await fs.mkdir(path.dirname(filename), { recursive: true });
+            db = new Database(filename);
+            db.pragma('journal_mode = WAL');
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS collections (
+                    name TEXT PRIMARY KEY,
+                    kind TEXT NOT NULL CHECK (kind IN ('array', 'object')),
+                    updated_at TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS records (
+                    collection TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    id TEXT,
+                    data TEXT NOT NULL,
+                    PRIMARY KEY (collection, position)
+                );
+                CREATE INDEX IF NOT EXISTS records_by_id ON records (collection, id);
+            `);
+        },
+
+        async list() {
+            return db.prepare('SELECT name FROM collections ORDER BY name').all().map(row => row.name);
+        },
+
+        async load(name) {
+            const meta = db.prepare('SELECT kind FROM collections WHERE name = ?').get(name);
+            if (!meta) return undefined;
+
+            const rows = db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position').all(name);
+            try {
+                const items = rows.map(row => JSON.parse(row.data));
+                return meta.kind === 'object' ? (items[0] || {}) : items;
+            } catch (error) {
+                throw new StorageCorruptionError(name, error);
+            }
+        },
+
+        // Write the collection inside one transaction so readers never see a partial write.
+        // Rows are matched by id: unchanged rows are left alone, changed ones updated, new ones
+        // appended and missing ones deleted. Collections without unique ids, or whose surviving
+        // rows were reordered or had new rows inserted between them, are rewritten in full.
+        async save(name, data) {
+            const kind = Array.isArray(data) ? 'array' : 'object';
+            const items = kind === 'array' ? data : [data];
+
+            db.transaction(() => {
+                if (kind !== 'array' || !saveChangedRows(name, items)) {
+                    db.prepare('DELETE FROM records WHERE collection = ?').run(name);
+                    const insert = db.prepare('INSERT INTO records (collection, position, id, data) VALUES (?, ?, ?, ?)');
+                    items.forEach((item, position) => {
+                        insert.run(name, position, recordId(item), JSON.stringify(item));
+                    });
+                }
+                db.prepare(`
+                    INSERT INTO collections (name, kind, updated_at) VALUES (?, ?, ?)
+                    ON CONFLICT (name) DO UPDATE SET kind = excluded.kind, updated_at = excluded.updated_at
+                `).run(name, kind, new Date().toISOString());
+            })();
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+        }
+    };
+}
+
+function createStorage({ driver = 'json', dataDir, sqlitePath, log = () => {} } = {}) {
+    let backend;
+    if (driver === 'json') {
+        backend = createJSONDriver({ dataDir });
+    } else if (driver === 'sqlite') {
+        backend = createSQLiteDriver({ filename: sqlitePath || path.join(dataDir, 'green-ledger.db') });
+    } else {
+        throw new Error(`Unknown storage driver: ${driver} (expected "json" or "sqlite")`);
+    }
+
+    const withLock = createLock();
+
+    async function loadExisting(name) {
+        const data = await backend.load(name);
+        if (data === undefined) {
+            throw new Error(`Collection "${name}" does not exist`);
+        }
+        return data;
+    }
+
+    return {
+        driver: backend.name,
+        location: backend.location,
+
+        // Create any missing collection with its default contents. Corrupted collections are
+        // reported and left untouched; every later read or write of them fails.
+        async init(defaults = {}) {
+            await backend.init();
+            const corrupted = [];
+            for (const [name, defaultValue] of Object.entries(defaults)) {
+                await withLock(name, async () => {
+                    try {
+                        if (await backend.load(name) === undefined) {
+                            await backend.save(name, defaultValue);
+                            log('info', `Created new collection: ${name}`, { driver: backend.name });
+                        } else {
+                            log('info', `Collection exists: ${name}`, { driver: backend.name });
+                        }
+                    } catch (error) {
+                        if (!(error instanceof StorageCorruptionError)) throw error;
+                        log('error', error.message, { driver: backend.name });
+                        corrupted.push(name);
+                    }
+                });
+            }
+            return { corrupted };
+        },
+
+        list: () => backend.list(),
+
+        // Reads wait for queued writes so callers always see the latest committed state
+        read(name) {
+            return withLock(name, () => loadExisting(name));
+        },
+
+        // Replace a collection; refuses if the stored copy cannot be parsed
+        write(name, data) {
+            return withLock(name, async () => {
+                await backend.load(name);
+                await backend.save(name, data);
+                return data;
+            });
+        },
+
+        // Serialized read-modify-write: mutate receives the current contents and returns the new contents
+        update(name, mutate) {
+            return withLock(name, async () => {
+                const current = await loadExisting(name);
+                const next = await mutate(current);
+                if (next === undefined) {
+                    throw new Error(`Update of "${name}" did not return the new contents`);
+                }
+                await backend.save(name, next);
+                return next;
+            });
+        },
+
+        close: () => backend.close()
+    };
+}
+
+module.exports = {
+    createStorage,
+    StorageCorruptionError
+};
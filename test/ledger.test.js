@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ledger = require('../ledger');
+
+// Chains records the way appendActivityRecords does in server.js
+function chain(records, prevHash = ledger.GENESIS_HASH) {
+    return records.map(record => {
+        const linked = { ...record, chain_version: ledger.CHAIN_VERSION, prev_hash: prevHash };
+        linked.hash = ledger.computeActivityHash(linked);
+        prevHash = linked.hash;
+        return linked;
+    });
+}
+
+const activity = (id, fields = {}) => ({
+    id,
+    company_id: 'c1',
+    category: 'environmental',
+    title: `Activity ${id}`,
+    impact_score: 5,
+    created_at: '2026-01-01T00:00:00.000Z',
+    ...fields
+});
+
+test('an untouched chain verifies', () => {
+    const records = chain([activity('a1'), activity('a2'), activity('a3', { company_id: 'c2' })]);
+    assert.deepEqual(ledger.verifyActivityChain(records), { valid: true, checked: 3, legacy: 0, broken_link: null });
+});
+
+test('the hash covers prev_hash', () => {
+    const [record] = chain([activity('a1')]);
+    assert.notEqual(ledger.computeActivityHash({ ...record, prev_hash: 'other' }), record.hash);
+});
+
+test('an edited record is reported at its index', () => {
+    const records = chain([activity('a1'), activity('a2'), activity('a3')]);
+    records[1].impact_score = 10;
+
+    const result = ledger.verifyActivityChain(records);
+    assert.equal(result.valid, false);
+    assert.equal(result.broken_link.index, 1);
+    assert.equal(result.broken_link.activity_id, 'a2');
+    assert.equal(result.broken_link.reason, 'stored hash does not match the record contents');
+});
+
+test('a removed record breaks the next link', () => {
+    const records = chain([activity('a1'), activity('a2'), activity('a3')]);
+    records.splice(1, 1);
+
+    const result = ledger.verifyActivityChain(records);
+    assert.equal(result.valid, false);
+    assert.equal(result.broken_link.activity_id, 'a3');
+    assert.equal(result.broken_link.reason, 'prev_hash does not match the hash of the preceding record');
+});
+
+test('a rehashed forgery still breaks the following link', () => {
+    const records = chain([activity('a1'), activity('a2'), activity('a3')]);
+    records[1].impact_score = 10;
+    records[1].hash = ledger.computeActivityHash(records[1]);
+
+    const result = ledger.verifyActivityChain(records);
+    assert.equal(result.broken_link.index, 2);
+});
+
+test('a company check walks the whole chain but only counts its own records', () => {
+    const records = chain([activity('a1'), activity('b1', { company_id: 'c2' }), activity('a2')]);
+    assert.equal(ledger.verifyActivityChain(records, 'c1').checked, 2);
+
+    records[1].title = 'Edited';
+    assert.equal(ledger.verifyActivityChain(records, 'c1').valid, true);
+    assert.equal(ledger.verifyActivityChain(records, 'c2').valid, false);
+});
+
+test('legacy records hashed without prev_hash still verify', () => {
+    const { chain_version, ...legacy } = activity('a1', { prev_hash: ledger.GENESIS_HASH });
+    legacy.hash = ledger.generateHash((({ prev_hash, ...content }) => content)(legacy));
+    const records = [legacy, ...chain([activity('a2')], legacy.hash)];
+
+    assert.deepEqual(ledger.verifyActivityChain(records), { valid: true, checked: 2, legacy: 1, broken_link: null });
+});
+
+const amendment = (id, amends, action, fields) => ({
+    id,
+    record_type: 'amendment',
+    action,
+    amends,
+    reason: 'test',
+    created_by: 'u1',
+    ...fields
+});
+
+test('corrections replay over the original and keep it in the history', () => {
+    const records = [
+        activity('a1'),
+        amendment('m1', 'a1', 'correction', { created_at: '2026-02-01T00:00:00.000Z', changes: { title: { from: 'Activity a1', to: 'Solar' } } }),
+        amendment('m2', 'a1', 'correction', { created_at: '2026-03-01T00:00:00.000Z', changes: { impact_score: { from: 5, to: 8 } } })
+    ];
+
+    const [current] = ledger.applyAmendments(records, { includeHistory: true });
+    assert.equal(current.title, 'Solar');
+    assert.equal(current.impact_score, 8);
+    assert.equal(current.revision, 2);
+    assert.equal(current.amended_at, '2026-03-01T00:00:00.000Z');
+    assert.equal(current.history.original.title, 'Activity a1');
+    assert.deepEqual(current.history.amendments.map(a => a.id), ['m1', 'm2']);
+});
+
+test('retracted records are hidden unless asked for', () => {
+    const records = [activity('a1'), activity('a2'), amendment('m1', 'a1', 'retraction', { created_at: '2026-02-01T00:00:00.000Z' })];
+
+    assert.deepEqual(ledger.applyAmendments(records).map(a => a.id), ['a2']);
+    const retracted = ledger.applyAmendments(records, { includeRetracted: true }).find(a => a.id === 'a1');
+    assert.equal(retracted.retracted, true);
+    assert.equal(retracted.retraction_reason, 'test');
+});
+
+test('asOf replays only the records written by then', () => {
+    const records = [
+        activity('a1'),
+        amendment('m1', 'a1', 'correction', { created_at: '2026-03-01T00:00:00.000Z', changes: { title: { from: 'Activity a1', to: 'Solar' } } }),
+        activity('a2', { created_at: '2026-04-01T00:00:00.000Z' })
+    ];
+
+    const asOf = ledger.applyAmendments(records, { asOf: '2026-02-01T00:00:00.000Z' });
+    assert.deepEqual(asOf.map(a => [a.id, a.title]), [['a1', 'Activity a1']]);
+});
+
+test('correcting a verified activity sends it back for review', () => {
+    const records = [
+        activity('a1', { status: 'submitted' }),
+        amendment('m1', 'a1', 'status', { created_at: '2026-02-01T00:00:00.000Z', status: { from: 'submitted', to: 'verified' }, attestation: { decision: 'verified' } }),
+        amendment('m2', 'a1', 'correction', { created_at: '2026-03-01T00:00:00.000Z', changes: { impact_score: { from: 5, to: 9 } } })
+    ];
+
+    const [verified] = ledger.applyActivityAmendments(records.slice(0, 2));
+    assert.equal(verified.status, 'verified');
+    assert.equal(verified.verification.amendment_id, 'm1');
+
+    const [corrected] = ledger.applyActivityAmendments(records);
+    assert.equal(corrected.status, 'submitted');
+    assert.equal(corrected.verification, undefined);
+});
+
+test('activities without a status replay as submitted', () => {
+    assert.equal(ledger.applyActivityAmendments([activity('a1')])[0].status, 'submitted');
+});
+
+test('amendments to unknown records are skipped', () => {
+    const warnings = [];
+    const records = [activity('a1'), amendment('m1', 'missing', 'retraction', {})];
+
+    assert.deepEqual(ledger.applyAmendments(records, { log: level => warnings.push(level) }).map(a => a.id), ['a1']);
+    assert.deepEqual(warnings, ['warn']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const merkle = require('../merkle');
+
+// Leaves and roots from the Certificate Transparency RFC 6962 test vectors
+const CT_LEAVES = ['', '00', '10', '2021', '3031', '40414243', '5051525354555657', '606162636465666768696a6b6c6d6e6f'];
+const CT_ROOTS = [
+    '6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d',
+    'fac54203e7cc696cf0dfcb42c92a1d9dbaf70ad9e621f4bd8d98662f00e3c125',
+    'aeb6bcfe274b70a14fb067a5e5578264db0fa9b51af5e0ba159158f329e06e77',
+    'd37ee418976dd95753c1c73862b9398fa2a2cf9b4ff0fdfe8b30cd95209614b7',
+    '4e3bbb1f7b478dcfe71fb631631519a3bca12c9aefca1612bfce4c13a86264d4',
+    '76e67dadbcdf1e10e1b74ddc608abd2f98dfb16fbce75277b5232a127f2087ef',
+    'ddb89be403809e325750d3d263cd78929c2942b7942a34b77e122c9594a74c8c',
+    '5dc9da79a70659a9ad559cb701ded9a2ab9d823aad2f4960cfe370eff4604328'
+];
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+const ctLeafHashes = CT_LEAVES.map(hex => sha256(Buffer.concat([Buffer.from([0x00]), Buffer.from(hex, 'hex')])));
+
+const claim = i => ({ id: `a${i}`, company_id: 'c1', title: `Activity ${i}`, impact_score: i % 10 });
+const leafHashes = n => Array.from({ length: n }, (_, i) => merkle.hashLeaf(claim(i)));
+
+test('roots match the RFC 6962 test vectors for every tree size up to 8', () => {
+    CT_ROOTS.forEach((root, i) => {
+        assert.equal(merkle.getMerkleRoot(ctLeafHashes.slice(0, i + 1)), root, `${i + 1} leaves`);
+    });
+});
+
+test('an empty tree hashes to the SHA-256 of no input', () => {
+    assert.equal(merkle.getMerkleRoot([]), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+});
+
+test('every leaf has a proof to the root, including trees that are not a power of two', () => {
+    for (let n = 1; n <= 20; n++) {
+        const hashes = leafHashes(n);
+        const root = merkle.getMerkleRoot(hashes);
+        hashes.forEach((hash, i) => {
+            assert.ok(merkle.verifyMerkleProof(hash, merkle.getMerkleProof(hashes, i), root), `leaf ${i} of ${n}`);
+        });
+    }
+});
+
+test('proofs are RFC 6962 audit paths', () => {
+    // PATH(6, D[7]) = [MTH(D[4:6]), MTH(D[0:4])]: the right-most leaf of 7 has no sibling at the bottom
+    const proof = merkle.getMerkleProof(ctLeafHashes.slice(0, 7), 6);
+    assert.deepEqual(proof.map(step => step.position), ['left', 'left']);
+    assert.equal(proof[1].hash, CT_ROOTS[3]);
+});
+
+test('a proof does not verify a different claim, position or root', () => {
+    const hashes = leafHashes(7);
+    const root = merkle.getMerkleRoot(hashes);
+    const proof = merkle.getMerkleProof(hashes, 2);
+
+    assert.equal(merkle.verifyMerkleProof(merkle.hashLeaf({ ...claim(2), impact_score: 9 }), proof, root), false);
+    assert.equal(merkle.verifyMerkleProof(hashes[3], proof, root), false);
+    assert.equal(merkle.verifyMerkleProof(hashes[2], proof.map(step => ({ ...step, position: step.position === 'left' ? 'right' : 'left' })), root), false);
+    assert.equal(merkle.verifyMerkleProof(hashes[2], proof, merkle.getMerkleRoot(leafHashes(6))), false);
+});
+
+test('leaf hashes ignore key order but not values', () => {
+    assert.equal(merkle.hashLeaf({ b: 1, a: 2 }), merkle.hashLeaf({ a: 2, b: 1 }));
+    assert.notEqual(merkle.hashLeaf({ a: 1 }), merkle.hashLeaf({ a: 2 }));
+});
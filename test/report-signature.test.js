@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const reportSignature = require('../report-signature');
+
+function createKey(status = 'active') {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    return { privateKey, published: { key_id: reportSignature.getKeyId(publicPem), public_key: publicPem, status } };
+}
+
+function signed(report, key, signedAt = '2026-01-01T00:00:00.000Z') {
+    return { ...report, signature: reportSignature.signReport(report, { keyId: key.published.key_id, privateKey: key.privateKey, signedAt }) };
+}
+
+const report = {
+    id: 'r1',
+    company_id: 'c1',
+    company_name: 'Acme',
+    period: '2025',
+    esg_score: 72,
+    merkle: { algorithm: 'sha256-rfc6962-v1', root: 'ab'.repeat(32), leaf_count: 3 }
+};
+
+test('canonicalize sorts keys at every level and drops undefined values', () => {
+    assert.equal(
+        reportSignature.canonicalize({ b: 1, a: { d: [2, undefined], c: null }, e: undefined }),
+        '{"a":{"c":null,"d":[2,null]},"b":1}'
+    );
+});
+
+test('a signed report verifies against its published key', () => {
+    const key = createKey();
+    const result = reportSignature.verifyReport(signed(report, key), [key.published]);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.key_id, key.published.key_id);
+    assert.equal(result.key_status, 'active');
+    assert.equal(result.signed_at, '2026-01-01T00:00:00.000Z');
+});
+
+test('key order in the stored report does not matter', () => {
+    const key = createKey();
+    const reordered = Object.fromEntries(Object.entries(signed(report, key)).reverse());
+    assert.equal(reportSignature.verifyReport(reordered, [key.published]).valid, true);
+});
+
+test('any change to the contents breaks the signature', () => {
+    const key = createKey();
+    const original = signed(report, key);
+
+    for (const tampered of [
+        { ...original, esg_score: 99 },
+        { ...original, merkle: { ...original.merkle, root: 'cd'.repeat(32) } },
+        { ...original, signature: { ...original.signature, signed_at: '2026-02-01T00:00:00.000Z' } }
+    ]) {
+        const result = reportSignature.verifyReport(tampered, [key.published]);
+        assert.equal(result.valid, false);
+        assert.equal(result.reason, 'signature does not match the report contents');
+    }
+});
+
+test('a key with the same id but different material is rejected', () => {
+    const key = createKey();
+    const other = createKey();
+    const result = reportSignature.verifyReport(signed(report, key), [{ ...other.published, key_id: key.published.key_id }]);
+    assert.equal(result.valid, false);
+});
+
+test('retired keys still verify the reports they signed', () => {
+    const retired = createKey('retired');
+    const result = reportSignature.verifyReport(signed(report, retired), [createKey().published, retired.published]);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.key_status, 'retired');
+});
+
+test('unsigned reports, unknown keys and other schemes are rejected', () => {
+    const key = createKey();
+    const original = signed(report, key);
+
+    assert.equal(reportSignature.verifyReport(report, [key.published]).reason, 'report is not signed');
+    assert.equal(reportSignature.verifyReport(original, [createKey().published]).reason, 'signed with an unknown key');
+    assert.match(
+        reportSignature.verifyReport({ ...original, signature: { ...original.signature, algorithm: 'RSA' } }, [key.published]).reason,
+        /^unsupported signature scheme/
+    );
+});
+
+test('the offline verifier exits 0 for a valid report and 1 for a tampered one', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-ledger-verify-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const key = createKey();
+    const keysFile = path.join(dir, 'keys.json');
+    const reportFile = path.join(dir, 'report.json');
+    const verify = () => spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'verify-report.js'), reportFile, '--keys', keysFile], { encoding: 'utf-8' });
+    fs.writeFileSync(keysFile, JSON.stringify({ keys: [key.published] }));
+
+    fs.writeFileSync(reportFile, JSON.stringify(signed(report, key)));
+    assert.equal(verify().status, 0);
+
+    fs.writeFileSync(reportFile, JSON.stringify({ ...signed(report, key), esg_score: 99 }));
+    assert.equal(verify().status, 1);
+});
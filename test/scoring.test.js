@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isScoredActivity, calculateScoreBreakdown } = require('../scoring');
+
+const asOf = '2026-06-30';
+const activity = (id, category, status, impactScore = 10) => ({
+    id,
+    company_id: 'c1',
+    category,
+    status,
+    title: `Activity ${id}`,
+    impact_score: impactScore,
+    activity_date: '2026-06-01'
+});
+
+test('only submitted, verified and pre-lifecycle activities are scored', () => {
+    assert.equal(isScoredActivity({ status: 'submitted' }), true);
+    assert.equal(isScoredActivity({ status: 'verified' }), true);
+    assert.equal(isScoredActivity({}), true);
+    assert.equal(isScoredActivity({ status: 'draft' }), false);
+    assert.equal(isScoredActivity({ status: 'rejected' }), false);
+});
+
+test('drafts and rejected activities do not change the score', () => {
+    const scored = [
+        activity('e1', 'environmental', 'verified'),
+        activity('s1', 'social', 'submitted')
+    ];
+    const withUnscored = [
+        ...scored,
+        activity('g1', 'governance', 'rejected'),
+        activity('g2', 'governance', 'draft'),
+        activity('e2', 'environmental', 'draft', 1)
+    ];
+
+    const expected = calculateScoreBreakdown(scored, { asOf });
+    const actual = calculateScoreBreakdown(withUnscored, { asOf });
+    assert.deepEqual(actual, expected);
+    assert.equal(actual.categories.governance.activity_count, 0);
+    assert.equal(actual.categories.governance.score, 0);
+    assert.deepEqual(actual.categories.environmental.activities.map(a => a.id), ['e1']);
+});
+
+test('a rejected claim alone leaves its category at the missing score', () => {
+    const breakdown = calculateScoreBreakdown([
+        activity('e1', 'environmental', 'submitted'),
+        activity('s1', 'social', 'submitted'),
+        activity('g1', 'governance', 'rejected')
+    ], { industry: 'banking', asOf });
+
+    assert.equal(breakdown.weights_source, 'industry');
+    assert.equal(breakdown.categories.environmental.score, 100);
+    assert.equal(breakdown.categories.governance.score, 0);
+    assert.equal(breakdown.score, 55);
+});
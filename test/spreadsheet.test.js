@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCSV, parseSpreadsheet } = require('../spreadsheet');
+
+test('text that a spreadsheet would run as a formula is prefixed with an apostrophe', () => {
+    const csv = toCSV(['title'], ['=cmd|x', '+1', '-2', '@SUM(A1)', '\tx', '\rx'].map(title => ({ title })));
+    assert.deepEqual(csv.split('\r\n').slice(1, 5), ["'=cmd|x", "'+1", "'-2", "'@SUM(A1)"]);
+    assert.ok(csv.includes("'\tx"));
+    assert.ok(csv.includes(`"'\rx"`));
+});
+
+test('numbers, including negative ones, are written as they are', () => {
+    assert.equal(toCSV(['value'], [{ value: -5 }, { value: 2.5 }]), 'value\r\n-5\r\n2.5\r\n');
+});
+
+test('quotes, commas and line breaks are quoted and objects are written as JSON', () => {
+    const csv = toCSV(['a', 'b', 'c'], [{ a: 'say "hi"', b: 'x,y', c: { n: 1 } }]);
+    assert.equal(csv, 'a,b,c\r\n"say ""hi""","x,y","{""n"":1}"\r\n');
+});
+
+test('an exported CSV reads back through the import parser', async () => {
+    const rows = [{ title: 'Solar, phase 2', description: 'line one\nline two', impact_score: 7 }];
+    const parsed = await parseSpreadsheet(Buffer.from(toCSV(['title', 'description', 'impact_score'], rows)), { format: 'csv' });
+
+    assert.deepEqual(parsed.headers, ['title', 'description', 'impact_score']);
+    assert.deepEqual(parsed.rows[0].cells, ['Solar, phase 2', 'line one\nline two', '7']);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, StorageCorruptionError } = require('../storage');
+
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    // optional dependency; the SQLite tests are skipped without it
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-ledger-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const record = (id, fields = {}) => ({ id, title: `Record ${id}`, ...fields });
+
+test('concurrent updates to one collection are serialized', async t => {
+    const storage = createStorage({ driver: 'json', dataDir: tempDir(t) });
+    await storage.init({ items: [] });
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.update('items', items => [...items, record(`r${i}`)])));
+    assert.equal((await storage.read('items')).length, 20);
+});
+
+test('a corrupted JSON collection is reported and never overwritten', async t => {
+    const dataDir = tempDir(t);
+    fs.writeFileSync(path.join(dataDir, 'items.json'), '[{"id":');
+    const storage = createStorage({ driver: 'json', dataDir });
+
+    assert.deepEqual(await storage.init({ items: [] }), { corrupted: ['items'] });
+    await assert.rejects(storage.update('items', () => []), StorageCorruptionError);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'items.json'), 'utf-8'), '[{"id":');
+});
+
+test('SQLite saves only touch the rows that changed', { skip: !Database && 'better-sqlite3 is not installed' }, async t => {
+    const sqlitePath = path.join(tempDir(t), 'test.db');
+    const storage = createStorage({ driver: 'sqlite', sqlitePath });
+    t.after(() => storage.close());
+    await storage.init({ items: [] });
+
+    const db = new Database(sqlitePath, { readonly: true });
+    t.after(() => db.close());
+    const rows = () => db.prepare("SELECT position, id, data FROM records WHERE collection = 'items' ORDER BY position").all()
+        .map(row => [row.position, row.id, JSON.parse(row.data).title]);
+
+    await storage.write('items', [record('a'), record('b'), record('c')]);
+    assert.deepEqual(rows(), [[0, 'a', 'Record a'], [1, 'b', 'Record b'], [2, 'c', 'Record c']]);
+
+    // Deleting, editing and appending keep the other rows where they were
+    await storage.update('items', items => [items[0], { ...items[2], title: 'Edited' }, record('d')]);
+    assert.deepEqual(rows(), [[0, 'a', 'Record a'], [2, 'c', 'Edited'], [3, 'd', 'Record d']]);
+    assert.deepEqual((await storage.read('items')).map(item => item.id), ['a', 'c', 'd']);
+
+    // Inserting between existing rows falls back to a full rewrite
+    await storage.update('items', items => [items[0], record('x'), ...items.slice(1)]);
+    assert.deepEqual(rows().map(([position, id]) => [position, id]), [[0, 'a'], [1, 'x'], [2, 'c'], [3, 'd']]);
+
+    // So do reordering and duplicate ids, without losing data
+    await storage.update('items', items => [...items].reverse());
+    assert.deepEqual((await storage.read('items')).map(item => item.id), ['d', 'c', 'x', 'a']);
+    await storage.write('items', [record('a'), record('a', { title: 'Twin' })]);
+    assert.deepEqual((await storage.read('items')).map(item => item.title), ['Record a', 'Twin']);
+});
+
+test('SQLite object collections round-trip', { skip: !Database && 'better-sqlite3 is not installed' }, async t => {
+    const storage = createStorage({ driver: 'sqlite', sqlitePath: path.join(tempDir(t), 'test.db') });
+    t.after(() => storage.close());
+    await storage.init({ factors: { 2025: { grid_electricity: 0.4 } } });
+
+    await storage.update('factors', factors => ({ ...factors, 2026: { grid_electricity: 0.38 } }));
+    assert.deepEqual(await storage.read('factors'), { 2025: { grid_electricity: 0.4 }, 2026: { grid_electricity: 0.38 } });
+});
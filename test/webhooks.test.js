@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const webhooks = require('../webhooks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('signature headers verify against the raw body and secret', () => {
+    const secret = webhooks.generateSecret();
+    const body = JSON.stringify({ id: 'e1', type: 'activity.created' });
+    const header = webhooks.buildSignatureHeader(secret, body);
+
+    assert.deepEqual(webhooks.verifySignatureHeader(secret, header, body), { valid: true, reason: null });
+    assert.equal(webhooks.verifySignatureHeader(secret, header, `${body} `).valid, false);
+    assert.equal(webhooks.verifySignatureHeader(webhooks.generateSecret(), header, body).valid, false);
+    assert.equal(webhooks.verifySignatureHeader(secret, 'v1=abc', body).reason, 'malformed signature header');
+});
+
+test('old timestamps are rejected so captured payloads cannot be replayed', () => {
+    const secret = webhooks.generateSecret();
+    const header = webhooks.buildSignatureHeader(secret, '{}', Math.floor(Date.now() / 1000) - 600);
+    assert.equal(webhooks.verifySignatureHeader(secret, header, '{}').reason, 'timestamp outside the tolerance window');
+});
+
+// In-memory collections with the read/update shape the server passes in
+function createDispatcher(collections, options = {}) {
+    return webhooks.createWebhookDispatcher({
+        readCollection: async name => collections[name],
+        updateCollection: async (name, mutate) => (collections[name] = await mutate(collections[name])),
+        subscriptionsCollection: 'webhooks',
+        deliveriesCollection: 'deliveries',
+        log: () => {},
+        ...options
+    });
+}
+
+// emit and queue start a worker pass of their own; wait for it instead of racing it
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('timed out waiting for the webhook worker');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// A receiver that answers with the given status codes in turn, then 200
+async function startReceiver(t, statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses.shift() || 200;
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/`, received };
+}
+
+test('deliveries are signed, retried with backoff and marked delivered', async t => {
+    const receiver = await startReceiver(t, [500]);
+    const subscription = { id: 'w1', url: receiver.url, secret: webhooks.generateSecret(), events: ['activity.created'], active: true };
+    const collections = { webhooks: [subscription], deliveries: [] };
+    const dispatcher = createDispatcher(collections, { retryBaseMs: 1000 });
+
+    assert.equal(await dispatcher.emit('activity.created', { id: 'a1' }), 1);
+    const [delivery] = collections.deliveries;
+    await waitFor(() => delivery.attempts === 1);
+
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_status_code, 500);
+    const delay = Date.parse(delivery.next_attempt_at) - Date.parse(delivery.last_attempt_at);
+    assert.equal(delay, dispatcher.getRetryDelay(1));
+
+    delivery.next_attempt_at = new Date(0).toISOString();
+    await dispatcher.processDue();
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempt_log.map(a => a.status_code), [500, 200]);
+
+    const { headers, body } = receiver.received[1];
+    assert.equal(headers['x-green-ledger-delivery'], delivery.id);
+    assert.equal(webhooks.verifySignatureHeader(subscription.secret, headers['x-green-ledger-signature'], body).valid, true);
+    assert.equal(JSON.parse(body).data.id, 'a1');
+});
+
+test('a delivery fails after maxAttempts and a deleted subscription fails at once', async t => {
+    const receiver = await startReceiver(t, [500, 500]);
+    const collections = {
+        webhooks: [{ id: 'w1', url: receiver.url, secret: 'whsec_test', events: ['activity.created'], active: true }],
+        deliveries: []
+    };
+    const dispatcher = createDispatcher(collections, { maxAttempts: 2, retryBaseMs: 0 });
+
+    await dispatcher.queue(collections.webhooks[0], 'webhook.test', {});
+    await dispatcher.queue({ id: 'gone' }, 'webhook.test', {});
+    await waitFor(() => collections.deliveries.every(d => d.attempts === 1));
+    await dispatcher.processDue();
+
+    assert.deepEqual(collections.deliveries.map(d => [d.status, d.attempts]), [['failed', 2], ['failed', 1]]);
+    assert.equal(collections.deliveries[1].last_error, 'subscription was deleted');
+});
+
+test('finished deliveries are pruned after the retention period', async () => {
+    const now = Date.now();
+    const at = days => new Date(now - days * DAY_MS).toISOString();
+    const collections = {
+        webhooks: [],
+        deliveries: [
+            { id: 'old-delivered', status: 'delivered', created_at: at(45), last_attempt_at: at(40) },
+            { id: 'recent-failed', status: 'failed', created_at: at(12), last_attempt_at: at(10) },
+            { id: 'old-pending', status: 'pending', created_at: at(90), next_attempt_at: at(-1) },
+            { id: 'old-failed', status: 'failed', created_at: at(50) }
+        ]
+    };
+
+    assert.equal(await createDispatcher(collections).pruneFinished(now), 2);
+    assert.deepEqual(collections.deliveries.map(d => d.id), ['recent-failed', 'old-pending']);
+
+    assert.equal(await createDispatcher(collections, { retentionDays: 0 }).pruneFinished(now + 365 * DAY_MS), 0);
+    assert.equal(collections.deliveries.length, 2);
+});
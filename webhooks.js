@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+
+// Outbound webhooks. Events are written to a persisted delivery queue first and sent by a
+// polling worker, so a crash or a receiver outage only delays deliveries. Failed attempts are
+// retried with exponential backoff until maxAttempts is reached. Delivered and failed deliveries
+// are deleted retentionDays after their last attempt.
+
+const WEBHOOK_EVENTS = ['activity.created', 'report.generated', 'company.created', 'webhook.test'];
+const SIGNATURE_HEADER = 'X-Green-Ledger-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// HMAC-SHA256 over "<timestamp>.<body>", so a captured payload cannot be replayed with a new timestamp
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildSignatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+// For receivers: checks the header against the raw request body
+function verifySignatureHeader(secret, header, body, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=').map(s => s.trim())));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) {
+        return { valid: false, reason: 'malformed signature header' };
+    }
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        return { valid: false, reason: 'timestamp outside the tolerance window' };
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    return { valid, reason: valid ? null : 'signature does not match' };
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function createWebhookDispatcher({
+    readCollection,
+    updateCollection,
+    subscriptionsCollection,
+    deliveriesCollection,
+    log,
+    maxAttempts = 8,
+    retryBaseMs = 30000,
+    timeoutMs = 10000,
+    pollMs = 5000,
+    retentionDays = 30,
+    pruneIntervalMs = 6 * 60 * 60 * 1000
+}) {
+    let running = false;
+    let timer = null;
+    let lastPrunedAt = 0;
+
+    const getRetryDelay = attempt => retryBaseMs * 2 ** (attempt - 1);
+
+    function buildDelivery(subscription, event, payload) {
+        return {
+            id: crypto.randomUUID(),
+            subscription_id: subscription.id,
+            event,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: payload.created_at,
+            created_at: payload.created_at,
+            attempt_log: []
+        };
+    }
+
+    function kick() {
+        setImmediate(() => processDue().catch(error => log('error', 'Webhook worker failed', { error: error.message })));
+    }
+
+    // Queues one delivery per matching subscription; returns the number queued
+    async function emit(event, data, { companyId = null } = {}) {
+        const subscriptions = (await readCollection(subscriptionsCollection)).filter(sub => sub.active
+            && sub.events.includes(event)
+            && (!sub.company_ids || !sub.company_ids.length || sub.company_ids.includes(companyId)));
+        if (!subscriptions.length) return 0;
+
+        // Every subscriber sees the same event id, so receivers can de-duplicate across endpoints
+        const payload = { id: crypto.randomUUID(), type: event, created_at: new Date().toISOString(), data };
+        const deliveries = subscriptions.map(sub => buildDelivery(sub, event, payload));
+
+        await updateCollection(deliveriesCollection, existing => [...existing, ...deliveries]);
+        log('info', `Queued ${event} webhook`, { eventId: payload.id, deliveries: deliveries.length });
+        kick();
+        return deliveries.length;
+    }
+
+    // Queues an event for one subscription regardless of its event filter
+    async function queue(subscription, event, data) {
+        const payload = { id: crypto.randomUUID(), type: event, created_at: new Date().toISOString(), data };
+        const delivery = buildDelivery(subscription, event, payload);
+        await updateCollection(deliveriesCollection, existing => [...existing, delivery]);
+        kick();
+        return delivery;
+    }
+
+    async function send(subscription, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const started = Date.now();
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'green-ledger-webhooks/1',
+                    'X-Green-Ledger-Event': delivery.event,
+                    'X-Green-Ledger-Delivery': delivery.id,
+                    [SIGNATURE_HEADER]: buildSignatureHeader(subscription.secret, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            const responseBody = (await response.text().catch(() => '')).slice(0, 500);
+            return {
+                ok: response.status >= 200 && response.status < 300,
+                status_code: response.status,
+                error: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+                response_body: responseBody || null,
+                duration_ms: Date.now() - started
+            };
+        } catch (error) {
+            // fetch reports connection problems as "fetch failed" with the reason in error.cause
+            const reason = error.name === 'TimeoutError'
+                ? `timed out after ${timeoutMs} ms`
+                : [error.message, error.cause && (error.cause.code || error.cause.message)].filter(Boolean).join(': ');
+            return { ok: false, status_code: null, error: reason, response_body: null, duration_ms: Date.now() - started };
+        }
+    }
+
+    async function recordAttempt(deliveryId, result, subscriptionMissing = false) {
+        await updateCollection(deliveriesCollection, deliveries => {
+            const delivery = deliveries.find(d => d.id === deliveryId);
+            if (!delivery) return deliveries;
+
+            const now = new Date();
+            delivery.attempts += 1;
+            delivery.last_attempt_at = now.toISOString();
+            delivery.last_status_code = result.status_code;
+            delivery.last_error = result.error;
+            const { ok, ...details } = result;
+            delivery.attempt_log.push({ attempt: delivery.attempts, at: delivery.last_attempt_at, ...details });
+
+            if (result.ok) {
+                delivery.status = 'delivered';
+                delivery.delivered_at = delivery.last_attempt_at;
+                delivery.next_attempt_at = null;
+            } else if (subscriptionMissing || delivery.attempts >= maxAttempts) {
+                delivery.status = 'failed';
+                delivery.next_attempt_at = null;
+            } else {
+                delivery.next_attempt_at = new Date(now.getTime() + getRetryDelay(delivery.attempts)).toISOString();
+            }
+            return deliveries;
+        });
+    }
+
+    // Drops delivered and failed deliveries whose last attempt is older than retentionDays (0 keeps them)
+    async function pruneFinished(now = Date.now()) {
+        lastPrunedAt = now;
+        if (!(retentionDays > 0)) return 0;
+
+        const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+        const isExpired = d => d.status !== 'pending' && (d.last_attempt_at || d.created_at) < cutoff;
+        if (!(await readCollection(deliveriesCollection)).some(isExpired)) return 0;
+
+        let removed = 0;
+        await updateCollection(deliveriesCollection, deliveries => {
+            const kept = deliveries.filter(d => !isExpired(d));
+            removed = deliveries.length - kept.length;
+            return kept;
+        });
+        log('info', `Pruned ${removed} finished webhook deliveries`, { retentionDays });
+        return removed;
+    }
+
+    // Sends every due delivery, oldest first; one worker pass at a time
+    async function processDue() {
+        if (running) return;
+        running = true;
+        try {
+            if (Date.now() - lastPrunedAt >= pruneIntervalMs) {
+                await pruneFinished();
+            }
+
+            const now = new Date().toISOString();
+            const due = (await readCollection(deliveriesCollection))
+                .filter(d => d.status === 'pending' && d.next_attempt_at <= now)
+                .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at));
+            if (!due.length) return;
+
+            const subscriptions = new Map((await readCollection(subscriptionsCollection)).map(sub => [sub.id, sub]));
+            for (const delivery of due) {
+                const subscription = subscriptions.get(delivery.subscription_id);
+                if (!subscription) {
+                    await recordAttempt(delivery.id, { status_code: null, error: 'subscription was deleted', response_body: null, duration_ms: 0 }, true);
+                    continue;
+                }
+                // Paused subscriptions keep their queue until they are re-activated
+                if (!subscription.active) continue;
+
+                const result = await send(subscription, delivery);
+                await recordAttempt(delivery.id, result);
+                log(result.ok ? 'info' : 'warn', `Webhook ${delivery.event} ${result.ok ? 'delivered' : 'failed'}`, {
+                    deliveryId: delivery.id,
+                    subscriptionId: subscription.id,
+                    attempt: delivery.attempts + 1,
+                    statusCode: result.status_code,
+                    error: result.error
+                });
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    // Puts a delivered or failed delivery back on the queue with a fresh retry budget
+    async function redeliver(deliveryId) {
+        let found = null;
+        await updateCollection(deliveriesCollection, deliveries => {
+            found = deliveries.find(d => d.id === deliveryId) || null;
+            if (found) {
+                found.status = 'pending';
+                found.attempts = 0;
+                found.next_attempt_at = new Date().toISOString();
+                found.redelivered_at = found.next_attempt_at;
+            }
+            return deliveries;
+        });
+        if (found) kick();
+        return found;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            processDue().catch(error => log('error', 'Webhook worker failed', { error: error.message }));
+        }, pollMs);
+        timer.unref();
+        kick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { emit, queue, processDue, pruneFinished, redeliver, start, stop, getRetryDelay };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    generateSecret,
+    buildSignatureHeader,
+    verifySignatureHeader,
+    createWebhookDispatcher
+};